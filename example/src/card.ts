@@ -1,9 +1,9 @@
-import { Component, component, css, listener, property } from '@partkit/component';
+import { Component, component, css, CSSResult, listener, property, unsafeCSS } from '@partkit/component';
 import { html } from 'lit-html';
 
 // we can define mixins as
-const mixinContainer: (background?: string) => string = (background: string = '#fff') => css`
-    background: ${ background };
+const mixinContainer: (background?: string) => CSSResult = (background: string = '#fff') => css`
+    background: ${ unsafeCSS(background) };
     background-clip: border-box;
     box-sizing: border-box;
     border: var(--border-width, 0.125rem) solid var(--border-color, rgba(0,0,0,.25));
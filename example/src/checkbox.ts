@@ -4,6 +4,8 @@ import { Enter, Space } from './keys';
 
 @component<Checkbox>({
     selector: 'ui-checkbox',
+    // form-associated components take part in form submission, validation and reset
+    formAssociated: true,
     styles: [css`
     :host {
         position: relative;
@@ -63,7 +65,9 @@ export class Checkbox extends Component {
                 this.removeAttribute('checked');
                 this.setAttribute('aria-checked', 'false');
             }
-        }
+        },
+        // the checked property is the form value, checked checkboxes submit 'on' like native checkboxes
+        formValue: (checked: boolean) => checked ? 'on' : null
     })
     checked = false;
 
@@ -0,0 +1,238 @@
+import { Changes } from './component.js';
+import { ReactiveController, ReactiveControllerHost } from './controller.js';
+import { asyncTask, Task, TaskCanceledError } from './tasks.js';
+
+/**
+ * The status of a {@link ComponentTask}
+ *
+ * @remarks
+ * Possible values:
+ * * `'initial'`: The task has not run yet
+ * * `'pending'`: The task is running
+ * * `'complete'`: The task's last run completed, its result is available as {@link ComponentTask.value}
+ * * `'error'`: The task's last run failed, its error is available as {@link ComponentTask.error}
+ */
+export type TaskStatus = 'initial' | 'pending' | 'complete' | 'error';
+
+/**
+ * A task callback, as decorated by the {@link task} decorator
+ */
+export type TaskCallback<T = any> = (signal: AbortSignal) => T | Promise<T>;
+
+/**
+ * An object with render functions for each {@link TaskStatus}, as used by {@link renderTask}
+ */
+export interface TaskRenderers<T = any> {
+    initial?: () => unknown;
+    pending?: () => unknown;
+    complete?: (value: T) => unknown;
+    error?: (error: unknown) => unknown;
+}
+
+/**
+ * A task which runs an asynchronous callback whenever properties of its host change
+ *
+ * @remarks
+ * A component task is a {@link ReactiveController}, which runs its callback in the first update after any of its
+ * dependencies changed. A new run cancels the previous run: the previous run's {@link AbortSignal} is aborted and
+ * its result is ignored, so a slow response can never overwrite the result of a newer run. The task tracks its
+ * {@link status} and the {@link value} or {@link error} of its last run, and requests an update of its host whenever
+ * its status changes.
+ *
+ * Component tasks are usually created by the {@link task} decorator and can be obtained by the component's
+ * {@link Component.getTask} method.
+ */
+export class ComponentTask<T = any> implements ReactiveController {
+
+    protected _status: TaskStatus = 'initial';
+
+    protected _value: T | undefined;
+
+    protected _error: unknown;
+
+    protected _task: Task<T> | undefined;
+
+    /**
+     * The task's status
+     */
+    get status (): TaskStatus {
+
+        return this._status;
+    }
+
+    /**
+     * The result of the task's last completed run
+     *
+     * @remarks
+     * The value is kept while a new run is pending.
+     */
+    get value (): T | undefined {
+
+        return this._value;
+    }
+
+    /**
+     * The error of the task's last failed run
+     */
+    get error (): unknown {
+
+        return this._error;
+    }
+
+    /**
+     * The ComponentTask constructor
+     *
+     * @param host      The task's host
+     * @param callback  The task callback, which receives an {@link AbortSignal} and can return a Promise
+     * @param deps      The property keys of the host which trigger a new run when they change
+     */
+    constructor (
+        protected host: ReactiveControllerHost,
+        protected callback: TaskCallback<T>,
+        protected deps: PropertyKey[] = [],
+    ) { }
+
+    /**
+     * Run the task again, if its run was canceled when the host was disconnected
+     */
+    hostConnected () {
+
+        if (this._status === 'pending' && !this._task) this.run();
+    }
+
+    /**
+     * Cancel a pending run when the host is disconnected
+     */
+    hostDisconnected () {
+
+        this.cancel();
+    }
+
+    /**
+     * Run the task if any of its dependencies changed
+     *
+     * @remarks
+     * The task's status changes to `'pending'` before the host renders, the task callback itself is invoked
+     * after the host's update.
+     */
+    hostUpdate (changes: Changes) {
+
+        if (this.deps.some(dep => changes.has(dep))) this.run();
+    }
+
+    /**
+     * Run the task
+     *
+     * @remarks
+     * A pending run will be canceled. The returned {@link Task}'s Promise will be rejected with a
+     * {@link TaskCanceledError}, if the run is canceled.
+     *
+     * @returns A {@link Task} for the run
+     */
+    run (): Task<T> {
+
+        this.cancel();
+
+        const task = this._task = asyncTask(signal => this.callback(signal));
+
+        task.promise.then(
+            value => this._settle(task, 'complete', value),
+            error => (error instanceof TaskCanceledError) || this._settle(task, 'error', undefined, error),
+        );
+
+        this._setStatus('pending');
+
+        return task;
+    }
+
+    /**
+     * Cancel a pending run of the task
+     *
+     * @remarks
+     * The task's status is not changed.
+     */
+    cancel () {
+
+        if (this._task) {
+
+            this._task.cancel();
+
+            this._task = undefined;
+        }
+    }
+
+    /**
+     * Store the result of a run, unless the run was replaced by a newer run
+     */
+    protected _settle (task: Task<T>, status: 'complete' | 'error', value?: T, error?: unknown) {
+
+        if (task !== this._task) return;
+
+        this._task = undefined;
+        this._value = (status === 'complete') ? value : this._value;
+        this._error = (status === 'error') ? error : undefined;
+
+        this._setStatus(status);
+    }
+
+    protected _setStatus (status: TaskStatus) {
+
+        this._status = status;
+
+        this.host.requestUpdate();
+    }
+}
+
+/**
+ * A template helper which renders a {@link ComponentTask} based on its status
+ *
+ * @remarks
+ * Each render function is optional, if no render function is provided for the task's current status,
+ * nothing will be rendered.
+ *
+ * ```typescript
+ * @component<UserCard>({
+ *      selector: 'user-card',
+ *      template: (element) => html`
+ *      ${ renderTask(element.getTask<User>('loadUser'), {
+ *          pending: () => html`Loading...`,
+ *          complete: (user) => html`<h1>${ user.name }</h1>`,
+ *          error: (error) => html`Failed to load user.`,
+ *      }) }`
+ * })
+ * class UserCard extends Component {
+ *
+ *      @property()
+ *      userId = '';
+ *
+ *      @task({ deps: ['userId'] })
+ *      async loadUser (signal: AbortSignal): Promise<User> {
+ *
+ *          const response = await fetch(`/api/users/${ this.userId }`, { signal });
+ *
+ *          return response.json();
+ *      }
+ * }
+ * ```
+ *
+ * @param task      The task to render
+ * @param renderers An object with render functions for each {@link TaskStatus}
+ * @returns         The result of the render function for the task's status
+ */
+export function renderTask<T = any> (task: ComponentTask<T> | undefined, renderers: TaskRenderers<T>): unknown {
+
+    switch (task?.status) {
+
+        case 'pending':
+            return renderers.pending?.();
+
+        case 'complete':
+            return renderers.complete?.(task.value!);
+
+        case 'error':
+            return renderers.error?.(task.error);
+
+        default:
+            return renderers.initial?.();
+    }
+}
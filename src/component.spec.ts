@@ -204,6 +204,156 @@ describe('Component', () => {
     });
 });
 
+describe('Form-associated components', () => {
+
+    @component({
+        selector: 'test-element-form-associated',
+        formAssociated: true,
+    })
+    class TestElementFormAssociated extends Component {
+
+        @property({ formValue: true })
+        value = 'initial';
+
+        updateCallback (changes: Changes, firstUpdate: boolean) {
+
+            this.setValidity(this.value ? {} : { valueMissing: true }, 'Please fill out this field.');
+        }
+    }
+
+    let form: HTMLFormElement;
+    let testElement: TestElementFormAssociated;
+
+    beforeEach(() => {
+
+        form = document.createElement('form');
+        testElement = document.createElement('test-element-form-associated') as TestElementFormAssociated;
+        testElement.setAttribute('name', 'test');
+        form.appendChild(testElement);
+        document.body.appendChild(form);
+    });
+
+    afterEach(() => {
+
+        document.body.removeChild(form);
+    });
+
+    it('should create element internals', () => {
+
+        expect(TestElementFormAssociated.formAssociated).toBe(true);
+        expect(testElement.internals).toBeDefined();
+        expect(testElement.form).toBe(form);
+        expect(TestElement.formAssociated).toBe(false);
+        expect((document.createElement('test-element') as TestElement).internals).toBeUndefined();
+    });
+
+    it('should inherit form association', () => {
+
+        @component({
+            selector: 'test-element-form-associated-extended',
+        })
+        class TestElementFormAssociatedExtended extends TestElementFormAssociated { }
+
+        @component({
+            selector: 'test-element-form-associated-disabled',
+            formAssociated: false,
+        })
+        class TestElementFormAssociatedDisabled extends TestElementFormAssociated { }
+
+        const extendedElement = document.createElement(TestElementFormAssociatedExtended.selector) as TestElementFormAssociatedExtended;
+
+        form.appendChild(extendedElement);
+
+        expect(TestElementFormAssociatedExtended.formAssociated).toBe(true);
+        expect(extendedElement.internals).toBeDefined();
+        expect(extendedElement.form).toBe(form);
+        expect(TestElementFormAssociatedDisabled.formAssociated).toBe(false);
+    });
+
+    it('should submit the form value property', async () => {
+
+        await testElement.updateComplete;
+
+        expect(new FormData(form).get('test')).toBe('initial');
+
+        testElement.value = 'changed';
+
+        await testElement.updateComplete;
+
+        expect(new FormData(form).get('test')).toBe('changed');
+    });
+
+    it('should reset the form value property', async () => {
+
+        testElement.value = 'changed';
+
+        await testElement.updateComplete;
+
+        form.reset();
+
+        expect(testElement.value).toBe('initial');
+
+        await testElement.updateComplete;
+
+        expect(new FormData(form).get('test')).toBe('initial');
+    });
+
+    it('should restore the form value property', async () => {
+
+        await testElement.updateComplete;
+
+        testElement.formStateRestoreCallback('restored', 'restore');
+
+        expect(testElement.value).toBe('restored');
+
+        await testElement.updateComplete;
+
+        expect(new FormData(form).get('test')).toBe('restored');
+    });
+
+    it('should update the formDisabled property', async () => {
+
+        const fieldset = document.createElement('fieldset');
+
+        form.appendChild(fieldset);
+        fieldset.appendChild(testElement);
+
+        await testElement.updateComplete;
+
+        expect(testElement.formDisabled).toBe(false);
+
+        fieldset.disabled = true;
+
+        await testElement.updateComplete;
+
+        expect(testElement.formDisabled).toBe(true);
+
+        fieldset.disabled = false;
+
+        await testElement.updateComplete;
+
+        expect(testElement.formDisabled).toBe(false);
+    });
+
+    it('should report the validity', async () => {
+
+        await testElement.updateComplete;
+
+        expect(testElement.checkValidity()).toBe(true);
+        expect(testElement.validity!.valid).toBe(true);
+        expect(form.checkValidity()).toBe(true);
+
+        testElement.value = '';
+
+        await testElement.updateComplete;
+
+        expect(testElement.checkValidity()).toBe(false);
+        expect(testElement.validity!.valueMissing).toBe(true);
+        expect(testElement.validationMessage).toBe('Please fill out this field.');
+        expect(form.checkValidity()).toBe(false);
+    });
+});
+
 // TODO: test Component.shadow
 // TODO: test Component.styles
 // TODO: test Component.template
@@ -1,6 +1,11 @@
-import { render, TemplateResult } from 'lit-html';
-import { AttributeReflector, isAttributeReflector, isPropertyChangeDetector, isPropertyKey, isPropertyNotifier, isPropertyReflector, ListenerDeclaration, PropertyDeclaration, PropertyNotifier, PropertyReflector, SelectorDeclaration } from './decorators/index.js';
-import { ComponentEvent, LifecycleEvent, PropertyChangeEvent } from './events.js';
+import { NodePart, parts, render, templateFactory, TemplateResult } from 'lit-html';
+import { AttributeReflector, ConsumeDeclaration, ContextKey, FormValue, getPropertyTypeSchema, isAttributeReflector, isFormValueMapper, isPropertyChangeDetector, isPropertyKey, isPropertyNotifier, isPropertyReflector, isPropertyValidator, ListenerDeclaration, PropertyDeclaration, PropertyInvalidReason, PropertyNotifier, PropertyReflector, ProvideDeclaration, SelectorDeclaration, SlottedDeclaration, TaskDeclaration } from './decorators/index.js';
+import { ComponentTask, TaskCallback } from './component-task.js';
+import { ReactiveController, ReactiveControllerHost } from './controller.js';
+import { CSSResult, isCSSResult, scopeCSS, unsafeCSS } from './css.js';
+import { findServerPart, hydrate } from './hydrate.js';
+import { getDefaultScheduler, Scheduler, SchedulerMicroTask, UPDATE_QUEUE } from './scheduler.js';
+import { ComponentEvent, ContextCallback, ContextRequestEvent, LifecycleEvent, PropertyChangeEvent, PropertyInvalidEvent } from './events.js';
 
 /**
  * @internal
@@ -18,6 +23,44 @@ const PROPERTY_NOTIFIER_ERROR = (propertyNotifier: PropertyKey | Function) => ne
  * @internal
  */
 const CHANGE_DETECTOR_ERROR = (changeDetector: PropertyKey | Function) => new Error(`Error executing property change detector ${ String(changeDetector) }.`);
+/**
+ * @internal
+ */
+const FORM_VALUE_MAPPER_ERROR = (formValueMapper: PropertyKey | Function) => new Error(`Error executing form value mapper ${ String(formValueMapper) }.`);
+/**
+ * @internal
+ */
+const PROPERTY_VALIDATOR_ERROR = (propertyValidator: PropertyKey | Function) => new Error(`Error executing property validator ${ String(propertyValidator) }.`);
+
+/**
+ * The connected components which consume a context
+ *
+ * @remarks
+ * When a provider is connected, it uses this set to find consumers in its subtree which were connected
+ * before the provider was upgraded and lets them request their context again.
+ *
+ * @internal
+ */
+const CONTEXT_CONSUMERS = new Set<Component>();
+
+/**
+ * Check if a node is a descendant of another node in the composed tree (crossing shadow DOM boundaries)
+ *
+ * @internal
+ */
+const containsComposed = (ancestor: Node, node: Node): boolean => {
+
+    let current: Node | null = node;
+
+    while (current) {
+
+        if (current === ancestor) return true;
+
+        current = (current instanceof ShadowRoot) ? current.host : current.parentNode;
+    }
+
+    return false;
+};
 
 /**
  * Extends the static {@link ListenerDeclaration} to include the bound listener
@@ -36,8 +79,155 @@ interface InstanceListenerDeclaration extends ListenerDeclaration {
      * The event target will always be resolved to an actual {@link EventTarget}
      */
     target: EventTarget;
+
+    /**
+     * Resolves the event target, so the listener can be rebound when the target changes
+     */
+    resolveTarget: () => EventTarget;
+
+    /**
+     * Cancels a pending debounced invocation of the listener
+     */
+    cancel: () => void;
+}
+
+/**
+ * The result of checking a property value against its {@link PropertyDeclaration}
+ *
+ * @internal
+ */
+interface PropertyCheck {
+
+    /**
+     * The (coerced) value
+     */
+    value: any;
+
+    /**
+     * The reason why the value is invalid, `undefined` for valid values
+     */
+    reason?: PropertyInvalidReason;
+
+    /**
+     * A message describing why the value is invalid
+     */
+    message?: string;
+
+    /**
+     * The value clamped to the `min` or `max` constraint, if it can be clamped
+     */
+    clamped?: any;
 }
 
+/**
+ * Get the comparable size of a value for `min` and `max` constraints
+ *
+ * @remarks
+ * Numbers and dates are compared by value, strings and arrays by their length. Other values have no size.
+ *
+ * @internal
+ */
+const getSize = (value: any): number | undefined => {
+
+    if (typeof value === 'string' || Array.isArray(value)) return value.length;
+
+    if (typeof value === 'number' || value instanceof Date) return value.valueOf();
+
+    return undefined;
+};
+
+/**
+ * Check if the result of a selector or slotted query changed
+ *
+ * @remarks
+ * Lists of elements (e.g. the {@link NodeList} returned by `querySelectorAll`) are new objects for each query,
+ * so we compare their elements.
+ *
+ * @internal
+ */
+const hasSelectionChanged = (oldValue: any, newValue: any): boolean => {
+
+    const isList = (value: any): value is ArrayLike<Element> => value instanceof NodeList || Array.isArray(value);
+
+    if (isList(oldValue) && isList(newValue)) {
+
+        return oldValue.length !== newValue.length || Array.from(oldValue).some((element, index) => element !== newValue[index]);
+    }
+
+    return oldValue !== newValue;
+};
+
+/**
+ * The attributes which back the state of pseudo-classes
+ *
+ * @internal
+ */
+const PSEUDO_CLASS_ATTRIBUTES: { [pseudoClass: string]: string[] } = {
+    'checked': ['checked', 'selected'],
+    'default': ['checked', 'selected'],
+    'disabled': ['disabled'],
+    'enabled': ['disabled'],
+    'open': ['open'],
+    'optional': ['required'],
+    'placeholder-shown': ['placeholder', 'value'],
+    'read-only': ['readonly', 'disabled', 'contenteditable'],
+    'read-write': ['readonly', 'disabled', 'contenteditable'],
+    'required': ['required'],
+};
+
+/**
+ * Get the names of the attributes a selector query depends on
+ *
+ * @remarks
+ * Attribute selectors (`[name]`) as well as class (`.name`) and id (`#name`) selectors depend on attributes.
+ * Pseudo-classes like `:disabled` or `:checked` depend on the attributes in {@link PSEUDO_CLASS_ATTRIBUTES}.
+ * A live selector's {@link MutationObserver} only observes these attributes.
+ *
+ * @internal
+ */
+const getQueryAttributes = (query: string): string[] => {
+
+    const attributes = new Set<string>();
+
+    query.replace(/\[\s*([^\s~|^$*!=\]]+)/g, (match, name: string) => (attributes.add(name.toLowerCase()), match));
+
+    query.replace(/:([a-zA-Z-]+)/g, (match, name: string) => {
+
+        (PSEUDO_CLASS_ATTRIBUTES[name.toLowerCase()] || []).forEach(attribute => attributes.add(attribute));
+
+        return match;
+    });
+
+    if (/\.-?[_a-zA-Z]/.test(query)) attributes.add('class');
+
+    if (/#-?[_a-zA-Z]/.test(query)) attributes.add('id');
+
+    return [...attributes];
+};
+
+/**
+ * Find the element in an event's composed path which matches a delegate selector
+ *
+ * @remarks
+ * The composed path is searched up to the event's current target or the root, whichever comes first.
+ * Events which don't pass the root are ignored.
+ *
+ * @internal
+ */
+const findDelegate = (event: Event, selector: string, root: Node): Element | undefined => {
+
+    const path = event.composedPath();
+
+    if (!path.includes(root)) return;
+
+    for (const target of path) {
+
+        if (target === root || target === event.currentTarget) return;
+
+        if (target instanceof Element && target.matches(selector)) return target;
+    }
+};
+
 /**
  * A type for property changes, as used in {@link Component.updateCallback}
  */
@@ -46,42 +236,64 @@ export type Changes = Map<PropertyKey, any>;
 /**
  * The component base class
  */
-export abstract class Component extends HTMLElement {
+export abstract class Component extends HTMLElement implements ReactiveControllerHost {
 
     /**
-     * The component's cached {@link CSSStyleSheet} instance
+     * The component's cached {@link CSSResult}s
      *
      * @internal
      * @private
      */
-    private static _styleSheet: CSSStyleSheet | undefined;
+    private static _cssResults: CSSResult[] | undefined;
 
     /**
-     * The component's {@link CSSStyleSheet}
+     * The component's {@link CSSResult}s
      *
      * @remarks
-     * When constructable stylesheets are available, this getter will create a {@link CSSStyleSheet}
-     * instance and cache it for use with each instance of the component.
+     * This getter converts the component's {@link Component.styles} into {@link CSSResult}s and caches them.
+     * Strings are converted with {@link unsafeCSS}. If the component doesn't use Shadow DOM, `:host` selectors
+     * are rewritten to the component's selector. CSSResults which don't need to be rewritten are reused, so
+     * their {@link CSSStyleSheet} is shared with other components.
      *
      * @internal
      * @private
      */
-    private static get styleSheet (): CSSStyleSheet | undefined {
+    private static get cssResults (): CSSResult[] {
 
-        if (this.styles.length && !this.hasOwnProperty('_styleSheet')) {
+        if (!this.hasOwnProperty('_cssResults')) {
 
-            try {
+            this._cssResults = this.styles.map(style => {
+
+                const result = isCSSResult(style) ? style : unsafeCSS(style);
 
-                // create a style sheet and cache it in the constructor
-                // this will work once constructable stylesheets arrive
-                // https://wicg.github.io/construct-stylesheets/
-                this._styleSheet = new CSSStyleSheet();
-                this._styleSheet.replaceSync(this.styles.join('\n'));
+                if (this.shadow) return result;
 
-            } catch (error) { }
+                const scoped = scopeCSS(result.cssText, this.selector);
+
+                return scoped === result.cssText ? result : unsafeCSS(scoped);
+            });
         }
 
-        return this._styleSheet;
+        return this._cssResults!;
+    }
+
+    /**
+     * The component's {@link CSSStyleSheet}s
+     *
+     * @remarks
+     * When constructable stylesheets are available, this getter returns the shared {@link CSSStyleSheet}
+     * instances of the component's {@link CSSResult}s.
+     *
+     * @internal
+     * @private
+     */
+    private static get styleSheets (): CSSStyleSheet[] | undefined {
+
+        const styleSheets = this.cssResults.map(result => result.styleSheet);
+
+        return styleSheets.length && styleSheets.every(styleSheet => !!styleSheet)
+            ? styleSheets as CSSStyleSheet[]
+            : undefined;
     }
 
     /**
@@ -104,11 +316,11 @@ export abstract class Component extends HTMLElement {
      */
     private static get styleElement (): HTMLStyleElement | undefined {
 
-        if (this.styles.length && !this.hasOwnProperty('_styleElement')) {
+        if (this.cssResults.length && !this.hasOwnProperty('_styleElement')) {
 
             this._styleElement = document.createElement('style');
             this._styleElement.title = this.selector;
-            this._styleElement.textContent = this.styles.join('\n');
+            this._styleElement.textContent = this.cssResults.join('\n');
         }
 
         return this._styleElement;
@@ -158,6 +370,50 @@ export abstract class Component extends HTMLElement {
      */
     static selectors: Map<PropertyKey, SelectorDeclaration> = new Map();
 
+    /**
+     * A map of property keys and their respective task declarations
+     *
+     * @remarks
+     * This map is populated by the {@link task} decorator and can be used to obtain the
+     * {@link TaskDeclaration} of a method.
+     *
+     * @internal
+     */
+    static tasks: Map<PropertyKey, TaskDeclaration> = new Map();
+
+    /**
+     * A map of property keys and their respective slotted declarations
+     *
+     * @remarks
+     * This map is populated by the {@link slotted} decorator and can be used to obtain the
+     * {@link SlottedDeclaration} of a property.
+     *
+     * @internal
+     */
+    static slotted: Map<PropertyKey, SlottedDeclaration> = new Map();
+
+    /**
+     * A map of property keys and their respective provide declarations
+     *
+     * @remarks
+     * This map is populated by the {@link provide} decorator and can be used to obtain the
+     * {@link ProvideDeclaration} of a property.
+     *
+     * @internal
+     */
+    static providers: Map<PropertyKey, ProvideDeclaration> = new Map();
+
+    /**
+     * A map of property keys and their respective consume declarations
+     *
+     * @remarks
+     * This map is populated by the {@link consume} decorator and can be used to obtain the
+     * {@link ConsumeDeclaration} of a property.
+     *
+     * @internal
+     */
+    static consumers: Map<PropertyKey, ConsumeDeclaration> = new Map();
+
     /**
      * The component's selector
      *
@@ -175,6 +431,26 @@ export abstract class Component extends HTMLElement {
      */
     static shadow: boolean;
 
+    /**
+     * Is the component a form-associated custom element
+     *
+     * @remarks
+     * Will be set by the {@link component} decorator's `formAssociated` option (inherited from the base class
+     * or defaults to `false`).
+     * The browser reads this property when the component is defined, to enable the form-associated
+     * lifecycle callbacks.
+     */
+    static formAssociated: boolean;
+
+    /**
+     * The component's update scheduler
+     *
+     * @remarks
+     * Will be set by the {@link component} decorator's `scheduler` option. If not set, the component
+     * uses the global default scheduler (see {@link setDefaultScheduler}).
+     */
+    static scheduler?: Scheduler;
+
     // TODO: create tests for style inheritance
     /**
      * The component's styles
@@ -192,17 +468,17 @@ export abstract class Component extends HTMLElement {
      * })
      * class MyElement extends MyBaseElement {
      *
-     *      static get styles (): string[] {
+     *      static get styles (): (CSSResult | string)[] {
      *
      *          return [
      *              ...super.styles,
-     *              ':host { background-color: green; }'
+     *              css`:host { background-color: green; }`
      *          ];
      *      }
      * }
      * ```
      */
-    static get styles (): string[] {
+    static get styles (): (CSSResult | string)[] {
 
         return [];
     }
@@ -282,6 +558,48 @@ export abstract class Component extends HTMLElement {
      */
     private _listenerDeclarations: InstanceListenerDeclaration[] = [];
 
+    /**
+     * @internal
+     * @private
+     */
+    private _contextListener: EventListener | undefined;
+
+    /**
+     * @internal
+     * @private
+     */
+    private _contextSubscribers: Map<PropertyKey, Set<ContextCallback>> = new Map();
+
+    /**
+     * @internal
+     * @private
+     */
+    private _contextSubscriptions: Map<PropertyKey, () => void> = new Map();
+
+    /**
+     * @internal
+     * @private
+     */
+    private _controllers: Set<ReactiveController> = new Set();
+
+    /**
+     * @internal
+     * @private
+     */
+    private _tasks: Map<PropertyKey, ComponentTask> = new Map();
+
+    /**
+     * @internal
+     * @private
+     */
+    private _selectorObservers: Map<PropertyKey, { root: Node, observer: MutationObserver }> = new Map();
+
+    /**
+     * @internal
+     * @private
+     */
+    private _slotListener: EventListener | undefined;
+
     /**
      * @internal
      * @private
@@ -300,6 +618,38 @@ export abstract class Component extends HTMLElement {
      */
     private _isReflecting = false;
 
+    /**
+     * @internal
+     * @private
+     */
+    private _isHydrating = false;
+
+    /**
+     * The server-rendered style elements of a hydrating component
+     *
+     * @internal
+     * @private
+     */
+    private _serverStyles: HTMLStyleElement[] = [];
+
+    /**
+     * @internal
+     * @private
+     */
+    private _isFormDisabled = false;
+
+    /**
+     * @internal
+     * @private
+     */
+    private _hasFormResetValue = false;
+
+    /**
+     * @internal
+     * @private
+     */
+    private _formResetValue: any;
+
     /**
      * A boolean indicating if the component's update cycle was run at least once
      *
@@ -316,53 +666,182 @@ export abstract class Component extends HTMLElement {
     }
 
     /**
-     * The render root is where the {@link render} method will attach its DOM output
-     */
-    readonly renderRoot: Element | DocumentFragment;
-
-    /**
-     * The component constructor
+     * A boolean indicating if the component adopted a server-rendered declarative shadow root which
+     * has not been hydrated by the component yet
+     *
+     * @remarks
+     * Components which were rendered on the server with {@link renderToString} adopt their declarative
+     * shadow root instead of creating a new one. During the component's first update, the template is hydrated:
+     * lit-html's parts are bound to the server-rendered DOM instead of re-rendering it, so focus, selection and
+     * references to the server-rendered DOM are kept. Only directives and bindings whose server-rendered content
+     * doesn't match their value are rendered, replacing the server-rendered content of their binding. Once the
+     * component's styles are adopted, the server-rendered style elements are removed.
+     *
+     * @readonly
      */
-    constructor (...args: any[]) {
-
-        super();
+    get isHydrating (): boolean {
 
-        this.renderRoot = this._createRenderRoot();
+        return this._isHydrating;
     }
 
     /**
-     * Invoked each time the component is moved to a new document
+     * A Promise which resolves when the component and all its descendant components have updated
      *
      * @remarks
-     * https://developer.mozilla.org/en-US/docs/Web/Web_Components/Using_custom_elements#Using_the_lifecycle_callbacks
+     * The Promise resolves after the component's pending update was performed and all pending updates
+     * of components in its composed subtree were performed as well. It resolves to `true` if no further
+     * update was requested in the meantime, `false` otherwise.
      *
-     * N.B.: When overriding this callback, make sure to include a super-call.
+     * ```typescript
+     * element.value = 'new value';
+     *
+     * await element.updateComplete;
+     *
+     * // the element and its children are rendered
+     * ```
+     *
+     * @readonly
      */
-    adoptedCallback () {
+    get updateComplete (): Promise<boolean> {
 
-        this._notifyLifecycle('adopted');
+        return this._getUpdateComplete();
     }
 
     /**
-     * Invoked each time the component is appended into a document-connected element
+     * The render root is where the {@link render} method will attach its DOM output
+     */
+    readonly renderRoot: Element | DocumentFragment;
+
+    /**
+     * The component's {@link ElementInternals}
      *
      * @remarks
-     * https://developer.mozilla.org/en-US/docs/Web/Web_Components/Using_custom_elements#Using_the_lifecycle_callbacks
-     *
-     * N.B.: When overriding this callback, make sure to include a super-call.
+     * Only available for components declared with the {@link ComponentDeclaration}'s `formAssociated`
+     * option and in browsers which support form-associated custom elements.
      */
-    connectedCallback () {
+    readonly internals: ElementInternals | undefined;
 
-        this.requestUpdate();
+    /**
+     * The form the component is associated with
+     *
+     * @readonly
+     */
+    get form (): HTMLFormElement | null {
 
-        this._notifyLifecycle('connected');
+        return this.internals?.form ?? null;
     }
 
     /**
-     * Invoked each time the component is disconnected from the document's DOM
-     *
-     * @remarks
-     * https://developer.mozilla.org/en-US/docs/Web/Web_Components/Using_custom_elements#Using_the_lifecycle_callbacks
+     * The label elements associated with the component
+     *
+     * @readonly
+     */
+    get labels (): NodeList | undefined {
+
+        return this.internals?.labels;
+    }
+
+    /**
+     * The component's validity state
+     *
+     * @readonly
+     */
+    get validity (): ValidityState | undefined {
+
+        return this.internals?.validity;
+    }
+
+    /**
+     * The component's validation message
+     *
+     * @readonly
+     */
+    get validationMessage (): string {
+
+        return this.internals?.validationMessage ?? '';
+    }
+
+    /**
+     * A boolean indicating if the component is a candidate for constraint validation
+     *
+     * @readonly
+     */
+    get willValidate (): boolean {
+
+        return this.internals?.willValidate ?? false;
+    }
+
+    /**
+     * A boolean indicating if the component is disabled by its form or an ancestor fieldset
+     *
+     * @remarks
+     * This property is updated by the {@link formDisabledCallback} and can be used in a component's
+     * template to render the disabled state.
+     *
+     * @readonly
+     */
+    get formDisabled (): boolean {
+
+        return this._isFormDisabled;
+    }
+
+    /**
+     * The component constructor
+     */
+    constructor (...args: any[]) {
+
+        super();
+
+        this.renderRoot = this._createRenderRoot();
+
+        this.internals = this._createInternals();
+
+        this._createTasks();
+    }
+
+    /**
+     * Invoked each time the component is moved to a new document
+     *
+     * @remarks
+     * https://developer.mozilla.org/en-US/docs/Web/Web_Components/Using_custom_elements#Using_the_lifecycle_callbacks
+     *
+     * N.B.: When overriding this callback, make sure to include a super-call.
+     */
+    adoptedCallback () {
+
+        this._notifyLifecycle('adopted');
+    }
+
+    /**
+     * Invoked each time the component is appended into a document-connected element
+     *
+     * @remarks
+     * https://developer.mozilla.org/en-US/docs/Web/Web_Components/Using_custom_elements#Using_the_lifecycle_callbacks
+     *
+     * N.B.: When overriding this callback, make sure to include a super-call.
+     */
+    connectedCallback () {
+
+        // providers have to be connected before consumers request their contexts
+        this._provide();
+
+        this._consume();
+
+        this._controllers.forEach(controller => controller.hostConnected?.());
+
+        // capture the form reset value before the first update, so it's not affected by pending property changes
+        this._storeFormResetValue();
+
+        this.requestUpdate();
+
+        this._notifyLifecycle('connected');
+    }
+
+    /**
+     * Invoked each time the component is disconnected from the document's DOM
+     *
+     * @remarks
+     * https://developer.mozilla.org/en-US/docs/Web/Web_Components/Using_custom_elements#Using_the_lifecycle_callbacks
      *
      * N.B.: When overriding this callback, make sure to include a super-call.
      */
@@ -372,6 +851,14 @@ export abstract class Component extends HTMLElement {
 
         this._unselect();
 
+        this._unslot();
+
+        this._unconsume();
+
+        this._unprovide();
+
+        this._controllers.forEach(controller => controller.hostDisconnected?.());
+
         this._notifyLifecycle('disconnected');
 
         this._hasUpdated = false;
@@ -446,6 +933,152 @@ export abstract class Component extends HTMLElement {
      */
     updateCallback (changes: Changes, firstUpdate: boolean) { }
 
+    /**
+     * Invoked each time a form-associated component is associated with or disassociated from a form
+     *
+     * @remarks
+     * https://html.spec.whatwg.org/multipage/custom-elements.html#custom-element-reactions
+     *
+     * @param form  The associated form or `null`
+     */
+    formAssociatedCallback (form: HTMLFormElement | null) { }
+
+    /**
+     * Invoked each time a form-associated component is disabled or enabled by its form or an ancestor fieldset
+     *
+     * @remarks
+     * Updates the {@link formDisabled} property and requests an update of the component.
+     *
+     * N.B.: When overriding this callback, make sure to include a super-call.
+     *
+     * @param disabled  A boolean indicating if the component is disabled
+     */
+    formDisabledCallback (disabled: boolean) {
+
+        this._isFormDisabled = disabled;
+
+        this.requestUpdate();
+    }
+
+    /**
+     * Invoked each time the form of a form-associated component is reset
+     *
+     * @remarks
+     * Resets the property which is declared as form value to the value it had when the component was first connected.
+     * The property change will request an update of the component, which will update the form value.
+     *
+     * N.B.: When overriding this callback, make sure to include a super-call.
+     */
+    formResetCallback () {
+
+        const propertyKey = this._getFormValueProperty();
+
+        if (propertyKey !== undefined && this._hasFormResetValue) {
+
+            this[propertyKey as keyof this] = this._formResetValue;
+        }
+    }
+
+    /**
+     * Invoked each time the browser restores the state of a form-associated component
+     *
+     * @remarks
+     * This happens after navigation or when the browser autofills the component. String states are converted
+     * using the form value property's {@link AttributeConverter}, other states are assigned to the property as
+     * they are.
+     *
+     * N.B.: When overriding this callback, make sure to include a super-call.
+     *
+     * @param state The state which was submitted with the form value or the autofill value
+     * @param mode  The reason for the state restore
+     */
+    formStateRestoreCallback (state: FormValue, mode: 'restore' | 'autocomplete') {
+
+        const propertyKey = this._getFormValueProperty();
+
+        if (propertyKey === undefined) return;
+
+        const propertyDeclaration = this.getPropertyDeclaration(propertyKey)!;
+
+        this[propertyKey as keyof this] = (typeof state === 'string' || state === null)
+            ? propertyDeclaration.converter.fromAttribute.call(this, state)
+            : state;
+    }
+
+    /**
+     * Check the validity of a form-associated component
+     *
+     * @remarks
+     * https://developer.mozilla.org/en-US/docs/Web/API/ElementInternals/checkValidity
+     *
+     * @returns `true` if the component is valid or not form-associated, `false` otherwise
+     */
+    checkValidity (): boolean {
+
+        return this.internals?.checkValidity() ?? true;
+    }
+
+    /**
+     * Check and report the validity of a form-associated component
+     *
+     * @remarks
+     * https://developer.mozilla.org/en-US/docs/Web/API/ElementInternals/reportValidity
+     *
+     * @returns `true` if the component is valid or not form-associated, `false` otherwise
+     */
+    reportValidity (): boolean {
+
+        return this.internals?.reportValidity() ?? true;
+    }
+
+    /**
+     * Add a {@link ReactiveController} to the component
+     *
+     * @remarks
+     * The controller's lifecycle hooks will be invoked by the component. If the component is
+     * already connected, the controller's `hostConnected` hook is invoked immediately.
+     *
+     * @param controller    The controller to add
+     */
+    addController (controller: ReactiveController) {
+
+        if (this._controllers.has(controller)) return;
+
+        this._controllers.add(controller);
+
+        if (this.isConnected) controller.hostConnected?.();
+    }
+
+    /**
+     * Remove a {@link ReactiveController} from the component
+     *
+     * @remarks
+     * If the component is connected, the controller's `hostDisconnected` hook is invoked immediately.
+     *
+     * @param controller    The controller to remove
+     */
+    removeController (controller: ReactiveController) {
+
+        if (!this._controllers.delete(controller)) return;
+
+        if (this.isConnected) controller.hostDisconnected?.();
+    }
+
+    /**
+     * Get the {@link ComponentTask} of a method decorated with the {@link task} decorator
+     *
+     * @remarks
+     * The task exposes the `status`, `value` and `error` of the method's last run and can be rendered
+     * with the {@link renderTask} template helper.
+     *
+     * @param propertyKey   The key of the decorated method
+     * @returns             The method's task or `undefined` if the method is not decorated
+     */
+    getTask<T = any> (propertyKey: PropertyKey): ComponentTask<T> | undefined {
+
+        return this._tasks.get(propertyKey);
+    }
+
     /**
      * Dispatch a custom event
      *
@@ -494,6 +1127,34 @@ export abstract class Component extends HTMLElement {
         return this.dispatchEvent(eventOrType);
     }
 
+    /**
+     * Set the validity of a form-associated component
+     *
+     * @remarks
+     * https://developer.mozilla.org/en-US/docs/Web/API/ElementInternals/setValidity
+     *
+     * Call this method without any flags to mark the component as valid.
+     *
+     * ```typescript
+     * updateCallback (changes: Changes, firstUpdate: boolean) {
+     *
+     *      if (this.required && !this.value) {
+     *          this.setValidity({ valueMissing: true }, 'Please fill out this field.');
+     *      } else {
+     *          this.setValidity();
+     *      }
+     * }
+     * ```
+     *
+     * @param flags     A {@link ValidityStateFlags} dictionary
+     * @param message   A validation message, required if any flag is `true`
+     * @param anchor    An optional element to anchor the validation message to
+     */
+    protected setValidity (flags: ValidityStateFlags = {}, message?: string, anchor?: HTMLElement) {
+
+        this.internals?.setValidity(flags, message, anchor);
+    }
+
     /**
      * Watch property changes occurring in the executor and raise custom events
      *
@@ -552,20 +1213,42 @@ export abstract class Component extends HTMLElement {
         }
     }
 
+    /**
+     * Notify subscribed consumers of a provided property's value
+     *
+     * @remarks
+     * This method is called automatically when the value of a property decorated with the {@link provide}
+     * decorator changes. If a provided value is mutated without changing the property's value, call this
+     * method to notify subscribed consumers.
+     *
+     * @param propertyKey   The key of the provided property
+     */
+    protected notifyContext (propertyKey: PropertyKey) {
+
+        const subscribers = this._contextSubscribers.get(propertyKey);
+
+        if (!subscribers) return;
+
+        const value = this[propertyKey as keyof this];
+
+        subscribers.forEach(callback => callback(value));
+    }
+
     /**
      * Request an update of the component
      *
      * @remarks
      * This method is called automatically when the value of a decorated property or its associated
      * attribute changes. If you need the component to update based on a state change that is
-     * not covered by a decorated property, call this method without any arguments.
+     * not covered by a decorated property, call this method without any arguments. {@link ReactiveController}s
+     * can use this method to request an update of their host.
      *
      * @param propertyKey   The key of the changed property that requests the update
      * @param oldValue      The old property value
      * @param newValue      the new property value
      * @returns             A Promise which is resolved when the update is completed
      */
-    protected requestUpdate (propertyKey?: PropertyKey, oldValue?: any, newValue?: any): Promise<boolean> {
+    requestUpdate (propertyKey?: PropertyKey, oldValue?: any, newValue?: any): Promise<boolean> {
 
         if (propertyKey) {
 
@@ -629,16 +1312,21 @@ export abstract class Component extends HTMLElement {
 
         const template = constructor.template && constructor.template(this, ...helpers);
 
-        if (template) render(template, this.renderRoot, { eventContext: this });
+        if (template) {
+
+            if (this._isHydrating) this._hydrate(template);
+
+            render(template, this.renderRoot, { eventContext: this });
+        }
     }
 
     /**
      * Updates the component after an update was requested with {@link requestUpdate}
      *
      * @remarks
-     * This method renders the template, reflects changed properties to attributes and
-     * dispatches change events for properties which are marked for notification.
-     * To handle updates differently, this method can be overridden.
+     * This method invokes the `hostUpdate` hook of the component's {@link ReactiveController}s, renders the
+     * template, reflects changed properties to attributes and dispatches change events for properties which
+     * are marked for notification. To handle updates differently, this method can be overridden.
      *
      * @param changes       A map of properties that changed in the update, containg the property key and the old value
      * @param reflections   A map of properties that were marked for reflection in the update, containg the property key and the old value
@@ -647,6 +1335,8 @@ export abstract class Component extends HTMLElement {
      */
     protected update (changes: Changes, reflections: Changes, notifications: Changes, firstUpdate: boolean = false) {
 
+        this._controllers.forEach(controller => controller.hostUpdate?.(changes));
+
         this.render();
 
         // in the first update we adopt the element's styles and set up declared listeners
@@ -659,16 +1349,23 @@ export abstract class Component extends HTMLElement {
             // overridden connectedCallback; but before dispatching any property-change events
             // to make sure local listeners are bound first
             this._listen();
+            // update slotted elements and report missing required properties after listeners are bound
+            this._slot();
+            this._checkRequired();
 
         } else {
 
             this._select();
+            this._slot();
 
-            // TODO: can we check if selected nodes changed and if listeners are affected?
+            // selected nodes may have changed, so we rebind listeners whose target changed
+            this._relisten();
         }
 
         this.reflectProperties(reflections);
         this.notifyProperties(notifications);
+
+        this._updateFormValue(changes, firstUpdate);
     }
 
     /**
@@ -716,6 +1413,54 @@ export abstract class Component extends HTMLElement {
         return false;
     }
 
+    /**
+     * Validate a value for a decorated property
+     *
+     * @remarks
+     * This method is called by the setter of a decorated property before the value is set. The value is
+     * coerced into the property's `type` and checked against the `required`, `enum`, `min`, `max` and `validate`
+     * options of its {@link PropertyDeclaration}. If the value is invalid, a {@link PropertyInvalidEvent} is
+     * dispatched and the property's `onInvalid` policy decides if the value should be set.
+     *
+     * @param propertyKey   The key of the property to validate
+     * @param value         The value to validate
+     * @returns             An object indicating if the value should be set and the (coerced or clamped) value
+     */
+    protected validateProperty (propertyKey: PropertyKey, value: any): { valid: boolean, value: any } {
+
+        const propertyDeclaration = this.getPropertyDeclaration(propertyKey);
+
+        if (!propertyDeclaration) return { valid: true, value };
+
+        const check = this._checkProperty(propertyKey, propertyDeclaration, value);
+
+        if (!check.reason) return { valid: true, value: check.value };
+
+        const policy = propertyDeclaration.onInvalid;
+
+        const clamp = policy === 'clamp' && check.clamped !== undefined;
+
+        const valid = clamp || policy === 'accept';
+
+        const current = clamp
+            ? check.clamped
+            : valid
+                ? check.value
+                : this[propertyKey as keyof this];
+
+        this.dispatch(new PropertyInvalidEvent({
+            target: this,
+            property: propertyKey.toString(),
+            value,
+            current,
+            reason: check.reason,
+            message: check.message!,
+            policy,
+        }));
+
+        return { valid, value: current };
+    }
+
     /**
      * Gets the {@link PropertyDeclaration} for a decorated property
      *
@@ -804,32 +1549,38 @@ export abstract class Component extends HTMLElement {
 
             this._isReflecting = true;
 
-            if (isAttributeReflector(propertyDeclaration.reflectAttribute)) {
+            // reset the reflecting flag even if the reflector throws, otherwise further attribute changes are ignored
+            try {
 
-                try {
-                    propertyDeclaration.reflectAttribute.call(this, attributeName, oldValue, newValue);
+                if (isAttributeReflector(propertyDeclaration.reflectAttribute)) {
 
-                } catch (error) {
+                    try {
+                        propertyDeclaration.reflectAttribute.call(this, attributeName, oldValue, newValue);
 
-                    throw ATTRIBUTE_REFLECTOR_ERROR(propertyDeclaration.reflectAttribute);
-                }
+                    } catch (error) {
 
-            } else if (isPropertyKey(propertyDeclaration.reflectAttribute)) {
+                        throw ATTRIBUTE_REFLECTOR_ERROR(propertyDeclaration.reflectAttribute);
+                    }
 
-                try {
-                    (this[propertyDeclaration.reflectAttribute] as AttributeReflector)(attributeName, oldValue, newValue);
+                } else if (isPropertyKey(propertyDeclaration.reflectAttribute)) {
 
-                } catch (error) {
+                    try {
+                        (this[propertyDeclaration.reflectAttribute] as AttributeReflector)(attributeName, oldValue, newValue);
+
+                    } catch (error) {
+
+                        throw ATTRIBUTE_REFLECTOR_ERROR(propertyDeclaration.reflectAttribute);
+                    }
+
+                } else {
 
-                    throw ATTRIBUTE_REFLECTOR_ERROR(propertyDeclaration.reflectAttribute);
+                    this._reflectAttribute(attributeName, oldValue, newValue);
                 }
 
-            } else {
+            } finally {
 
-                this._reflectAttribute(attributeName, oldValue, newValue);
+                this._isReflecting = false;
             }
-
-            this._isReflecting = false;
         }
     }
 
@@ -938,80 +1689,180 @@ export abstract class Component extends HTMLElement {
      *
      * @remarks
      * The render root is where the {@link render} method will attach its DOM output. When using the component
-     * with shadow mode, it will be a {@link ShadowRoot}, otherwise it will be the component itself.
+     * with shadow mode, it will be a {@link ShadowRoot}, otherwise it will be the component itself. If the parser
+     * already attached a declarative shadow root to the component, the component will adopt it.
      *
      * @internal
      * @private
      */
     private _createRenderRoot (): Element | DocumentFragment {
 
-        return (this.constructor as typeof Component).shadow
-            ? this.attachShadow({ mode: 'open' })
-            : this;
+        if (!(this.constructor as typeof Component).shadow) return this;
+
+        if (this.shadowRoot) {
+
+            this._isHydrating = true;
+
+            return this.shadowRoot;
+        }
+
+        return this.attachShadow({ mode: 'open' });
     }
 
     /**
-     * Adds the component's styles to its {@link renderRoot}
+     * Hydrates a component's server-rendered {@link renderRoot} before its first render
      *
      * @remarks
-     * If constructable stylesheets are available, the component's {@link CSSStyleSheet} instance will be adopted
-     * by the {@link ShadowRoot}. If not, a style element is created and attached to the {@link ShadowRoot}. If the
-     * component is not using shadow mode, a script tag will be appended to the document's `<head>`. For multiple
-     * instances of the same component only one stylesheet will be added to the document.
+     * lit-html removes all existing content of a container when rendering into it for the first time. Instead,
+     * we set up the lit-html {@link NodePart} for the server-rendered part and hydrate it, so the first render
+     * only commits the template's values to the existing DOM. If the shadow root has no server-rendered part,
+     * we remove its content, but keep the server-rendered styles, and set up a new {@link NodePart} which will
+     * render the template after them. The server-rendered styles are removed by {@link _style} once the
+     * component's styles are adopted.
+     *
+     * @param template  The template which will be rendered
      *
      * @internal
      * @private
      */
-    private _style () {
+    private _hydrate (template: TemplateResult) {
 
-        const constructor = this.constructor as typeof Component;
+        const renderRoot = this.renderRoot;
+        const options = { templateFactory, eventContext: this };
+        const serverPart = findServerPart(renderRoot);
+        const childNodes = Array.from(renderRoot.childNodes);
 
-        let styleSheet: CSSStyleSheet | undefined;
-        let styleElement: HTMLStyleElement | undefined;
+        // the server-rendered styles precede the server-rendered part
+        this._serverStyles = childNodes
+            .slice(0, serverPart ? childNodes.indexOf(serverPart[0]) : childNodes.length)
+            .filter(node => node instanceof HTMLStyleElement) as HTMLStyleElement[];
 
-        // we invoke the getter in the if statement to have the getter invoked lazily
-        // the getters for styleSheet and styleElement will create the actual styleSheet
-        // and styleElement and cache them statically and we don't want to create both
-        // we prefer the constructable styleSheet and fallback to the style element
-        if ((styleSheet = constructor.styleSheet)) {
+        const part = new NodePart(options);
 
-            // TODO: test this part once we have constructable stylesheets (Chrome 73)
-            if (!constructor.shadow) {
+        if (serverPart) {
 
-                if ((document as DocumentOrShadowRoot).adoptedStyleSheets.includes(styleSheet)) return;
+            [part.startNode, part.endNode] = serverPart;
 
-                (document as DocumentOrShadowRoot).adoptedStyleSheets = [
-                    ...(document as DocumentOrShadowRoot).adoptedStyleSheets,
-                    styleSheet
-                ];
+            hydrate(part, template);
 
-            } else {
+        } else {
 
-                // this will work once constructable stylesheets arrive
-                // https://wicg.github.io/construct-stylesheets/
-                (this.renderRoot as ShadowRoot).adoptedStyleSheets = [styleSheet];
-            }
+            childNodes.forEach(node => {
 
-        } else if ((styleElement = constructor.styleElement)) {
+                if (!this._serverStyles.includes(node as HTMLStyleElement)) renderRoot.removeChild(node);
+            });
 
-            // TODO: test we don't duplicate stylesheets for non-shadow elements
-            const styleAlreadyAdded = constructor.shadow
-                ? false
-                : Array.from(document.styleSheets).find(style => style.title === constructor.selector) && true || false;
+            part.appendInto(renderRoot);
+        }
 
-            if (styleAlreadyAdded) return;
+        parts.set(renderRoot, part);
 
-            // clone the cached style element
-            const style = styleElement.cloneNode(true);
+        this._isHydrating = false;
+    }
 
-            if (constructor.shadow) {
+    /**
+     * Creates the component's {@link ElementInternals}
+     *
+     * @remarks
+     * Internals are only created for form-associated components and only if the browser supports
+     * form-associated custom elements.
+     *
+     * @internal
+     * @private
+     */
+    private _createInternals (): ElementInternals | undefined {
 
-                this.renderRoot.appendChild(style);
+        return (this.constructor as typeof Component).formAssociated && typeof this.attachInternals === 'function'
+            ? this.attachInternals()
+            : undefined;
+    }
 
-            } else {
+    /**
+     * Create the component's tasks
+     *
+     * @remarks
+     * Each method decorated with the {@link task} decorator gets a {@link ComponentTask}, which is added
+     * to the component as {@link ReactiveController}.
+     *
+     * @internal
+     * @private
+     */
+    private _createTasks () {
+
+        (this.constructor as typeof Component).tasks.forEach((declaration, propertyKey) => {
+
+            const method = this[propertyKey as keyof this] as unknown as TaskCallback;
+
+            const task = new ComponentTask(this, method.bind(this), declaration.deps!);
+
+            this._tasks.set(propertyKey, task);
+
+            this.addController(task);
+        });
+    }
 
-                document.head.appendChild(style);
+    /**
+     * Adds the component's styles to its style root
+     *
+     * @remarks
+     * Components using Shadow DOM add their styles to their {@link renderRoot}. Components which don't use
+     * Shadow DOM add their styles to the nearest {@link Document} or {@link ShadowRoot} they are connected to.
+     * If constructable stylesheets are available, the shared {@link CSSStyleSheet} instances of the component's
+     * {@link CSSResult}s are adopted by the style root, keeping any stylesheets which were adopted already (e.g.
+     * theme stylesheets). If not, a style element is created and attached to the {@link ShadowRoot} or the
+     * document's `<head>`. For multiple instances of the same component only one stylesheet will be added to a
+     * shared style root. A hydrated component removes its server-rendered style elements once its stylesheets are
+     * adopted, or keeps them instead of adding a style element.
+     *
+     * @internal
+     * @private
+     */
+    private _style () {
+
+        const constructor = this.constructor as typeof Component;
+
+        const styleRoot = (constructor.shadow ? this.renderRoot : this.getRootNode()) as Document | ShadowRoot;
+
+        let styleSheets: CSSStyleSheet[] | undefined;
+        let styleElement: HTMLStyleElement | undefined;
+
+        // we invoke the getter in the if statement to have the getter invoked lazily
+        // the getters for styleSheets and styleElement will create the actual styleSheets
+        // and styleElement and cache them statically and we don't want to create both
+        // we prefer the constructable styleSheets and fallback to the style element
+        const serverStyles = this._serverStyles;
+
+        this._serverStyles = [];
+
+        if ((styleSheets = constructor.styleSheets)) {
+
+            const adoptedStyleSheets = styleRoot.adoptedStyleSheets;
+
+            const missingStyleSheets = styleSheets.filter(styleSheet => !adoptedStyleSheets.includes(styleSheet));
+
+            if (missingStyleSheets.length) {
+
+                styleRoot.adoptedStyleSheets = [
+                    ...adoptedStyleSheets,
+                    ...missingStyleSheets
+                ];
             }
+
+            // the adopted stylesheets replace the server-rendered styles of a hydrated component
+            serverStyles.forEach(style => style.remove());
+
+        } else if ((styleElement = constructor.styleElement)) {
+
+            const styleParent = styleRoot instanceof Document ? styleRoot.head : styleRoot;
+
+            const styleAlreadyAdded = constructor.shadow
+                ? serverStyles.length > 0
+                : Array.from(styleParent.querySelectorAll('style')).some(style => style.title === constructor.selector);
+
+            if (styleAlreadyAdded) return;
+
+            // clone the cached style element
+            styleParent.appendChild(styleElement.cloneNode(true));
         }
     }
 
@@ -1087,6 +1938,103 @@ export abstract class Component extends HTMLElement {
         }
     }
 
+    /**
+     * Get the property key of the property declared as form value
+     *
+     * @internal
+     * @private
+     */
+    private _getFormValueProperty (): PropertyKey | undefined {
+
+        for (const [propertyKey, declaration] of (this.constructor as typeof Component).properties) {
+
+            if (declaration.formValue) return propertyKey;
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Store the value of the form value property for {@link formResetCallback}
+     *
+     * @remarks
+     * The value is only stored once, when the component is first connected.
+     *
+     * @internal
+     * @private
+     */
+    private _storeFormResetValue () {
+
+        const propertyKey = this._getFormValueProperty();
+
+        if (!this.internals || propertyKey === undefined || this._hasFormResetValue) return;
+
+        this._formResetValue = this[propertyKey as keyof this];
+        this._hasFormResetValue = true;
+    }
+
+    /**
+     * Submit the form value property to the component's {@link ElementInternals}
+     *
+     * @remarks
+     * The form value is only submitted during the first update or when the form value property changed.
+     *
+     * @param changes       A map of properties that changed in the update
+     * @param firstUpdate   A boolean indicating if this is the first update of the component
+     *
+     * @internal
+     * @private
+     */
+    private _updateFormValue (changes: Changes, firstUpdate: boolean) {
+
+        const propertyKey = this._getFormValueProperty();
+
+        if (!this.internals || propertyKey === undefined) return;
+
+        if (!firstUpdate && !changes.has(propertyKey)) return;
+
+        const formValue = this._getFormValue(propertyKey, this[propertyKey as keyof this]);
+
+        this.internals.setFormValue(formValue, formValue);
+    }
+
+    /**
+     * Convert a property value to a {@link FormValue}
+     *
+     * @remarks
+     * If a {@link FormValueMapper} is defined in the {@link PropertyDeclaration}, it will be used
+     * to convert the value. Otherwise strings, files and form data are passed through and other
+     * values are converted using the property's {@link AttributeConverter}.
+     *
+     * @param propertyKey   The property key of the form value property
+     * @param value         The property value to convert
+     *
+     * @internal
+     * @private
+     */
+    private _getFormValue (propertyKey: PropertyKey, value: any): FormValue {
+
+        const propertyDeclaration = this.getPropertyDeclaration(propertyKey)!;
+
+        if (isFormValueMapper(propertyDeclaration.formValue)) {
+
+            try {
+                return propertyDeclaration.formValue.call(this, value);
+
+            } catch (error) {
+
+                throw FORM_VALUE_MAPPER_ERROR(propertyDeclaration.formValue);
+            }
+        }
+
+        if (typeof value === 'string' || value === null || value instanceof File || value instanceof FormData) {
+
+            return value;
+        }
+
+        return propertyDeclaration.converter.toAttribute.call(this, value) ?? null;
+    }
+
     /**
      * Dispatch a {@link PropertyChangeEvent}
      *
@@ -1124,6 +2072,106 @@ export abstract class Component extends HTMLElement {
         }));
     }
 
+    /**
+     * Check a property value against the property's {@link PropertyDeclaration}
+     *
+     * @internal
+     * @private
+     */
+    private _checkProperty (propertyKey: PropertyKey, propertyDeclaration: PropertyDeclaration, value: any): PropertyCheck {
+
+        const { type, required, min, max, validate } = propertyDeclaration;
+
+        const property = propertyKey.toString();
+
+        if (value === null || value === undefined) {
+
+            return required
+                ? { value, reason: 'required', message: `Property ${ property } is required.` }
+                : { value };
+        }
+
+        const schema = type && getPropertyTypeSchema(type);
+
+        if (schema) {
+
+            try {
+
+                value = schema.coerce(value);
+
+            } catch (error) {
+
+                return { value, reason: 'type', message: `Value of property ${ property } can't be coerced.` };
+            }
+
+            if (!schema.check(value)) {
+
+                return { value, reason: 'type', message: `Value of property ${ property } has an invalid type.` };
+            }
+        }
+
+        if (propertyDeclaration.enum && !propertyDeclaration.enum.includes(value)) {
+
+            return { value, reason: 'enum', message: `Value of property ${ property } is not one of ${ propertyDeclaration.enum.join(', ') }.` };
+        }
+
+        const size = getSize(value);
+
+        // strings and arrays can't be clamped, only numbers and dates
+        const clamp = (limit: number | Date) => (typeof value === 'number')
+            ? limit.valueOf()
+            : (value instanceof Date)
+                ? new Date(limit.valueOf())
+                : undefined;
+
+        if (size !== undefined && min !== undefined && size < min.valueOf()) {
+
+            return { value, reason: 'min', message: `Value of property ${ property } is less than ${ String(min) }.`, clamped: clamp(min) };
+        }
+
+        if (size !== undefined && max !== undefined && size > max.valueOf()) {
+
+            return { value, reason: 'max', message: `Value of property ${ property } is greater than ${ String(max) }.`, clamped: clamp(max) };
+        }
+
+        if (isPropertyValidator(validate)) {
+
+            let result: boolean | string;
+
+            try {
+
+                result = validate.call(this, value);
+
+            } catch (error) {
+
+                throw PROPERTY_VALIDATOR_ERROR(validate);
+            }
+
+            if (result !== true) {
+
+                return { value, reason: 'validate', message: (typeof result === 'string') ? result : `Value of property ${ property } is invalid.` };
+            }
+        }
+
+        return { value };
+    }
+
+    /**
+     * Report required properties without value
+     *
+     * @internal
+     * @private
+     */
+    private _checkRequired () {
+
+        (this.constructor as typeof Component).properties.forEach((declaration, propertyKey) => {
+
+            const value = this[propertyKey as keyof this];
+
+            if (declaration.required && (value === null || value === undefined)) this.validateProperty(propertyKey, value);
+        });
+    }
+
     /**
      * Bind component listeners
      *
@@ -1134,20 +2182,22 @@ export abstract class Component extends HTMLElement {
 
         (this.constructor as typeof Component).listeners.forEach((declaration, listener) => {
 
+            const resolveTarget = () => ((typeof declaration.target === 'function')
+                ? declaration.target.call(this)
+                : declaration.target)
+                || this;
+
             const instanceDeclaration: InstanceListenerDeclaration = {
 
                 // copy the class's static listener declaration into an instance listener declaration
-                event: declaration.event,
-                options: declaration.options,
+                ...declaration,
 
-                // bind the components listener method to the component instance and store it in the instance declaration
-                listener: (this[listener as keyof this] as unknown as EventListener).bind(this),
+                // wrap the components listener method and store it in the instance declaration
+                ...this._createListener(declaration, this[listener as keyof this] as unknown as Function),
 
                 // determine the event target and store it in the instance declaration
-                target: ((typeof declaration.target === 'function')
-                    ? declaration.target.call(this)
-                    : declaration.target)
-                    || this,
+                target: resolveTarget(),
+                resolveTarget,
             };
 
             // add the bound event listener to the target
@@ -1161,6 +2211,34 @@ export abstract class Component extends HTMLElement {
         });
     }
 
+    /**
+     * Rebind component listeners whose event target changed
+     *
+     * @internal
+     * @private
+     */
+    private _relisten () {
+
+        this._listenerDeclarations.forEach((declaration) => {
+
+            const target = declaration.resolveTarget();
+
+            if (target === declaration.target) return;
+
+            declaration.target.removeEventListener(
+                declaration.event!,
+                declaration.listener,
+                declaration.options);
+
+            declaration.target = target;
+
+            declaration.target.addEventListener(
+                declaration.event!,
+                declaration.listener,
+                declaration.options);
+        });
+    }
+
     /**
      * Unbind component listeners
      *
@@ -1171,11 +2249,223 @@ export abstract class Component extends HTMLElement {
 
         this._listenerDeclarations.forEach((declaration) => {
 
+            declaration.cancel();
+
             declaration.target.removeEventListener(
                 declaration.event!,
                 declaration.listener,
                 declaration.options);
         });
+
+        this._listenerDeclarations = [];
+    }
+
+    /**
+     * Create an event listener for a listener declaration
+     *
+     * @remarks
+     * The created listener filters events by the declaration's `keys` and `delegate` options before invoking
+     * the component's listener method, which is bound to the component instance. The delegate element has to
+     * be found during dispatch, as an event's composed path is empty afterwards. If the declaration specifies
+     * `debounce` or `throttle` timings, the invocation of the listener method is delayed or skipped accordingly.
+     *
+     * @internal
+     * @private
+     */
+    private _createListener (declaration: ListenerDeclaration, method: Function): { listener: EventListener, cancel: () => void } {
+
+        const { delegate, keys, throttle, debounce } = declaration;
+
+        let timeout: number | undefined;
+
+        const invoke = (event: Event, delegateTarget?: Element) => method.call(this, event, delegateTarget);
+
+        const listener = (event: Event) => {
+
+            if (keys && !keys.includes((event as KeyboardEvent).key)) return;
+
+            const delegateTarget = delegate ? findDelegate(event, delegate, this.renderRoot) : undefined;
+
+            if (delegate && !delegateTarget) return;
+
+            if (debounce !== undefined) {
+
+                window.clearTimeout(timeout);
+
+                timeout = window.setTimeout(() => {
+
+                    timeout = undefined;
+
+                    invoke(event, delegateTarget);
+
+                }, debounce);
+
+            } else if (throttle !== undefined) {
+
+                if (timeout !== undefined) return;
+
+                timeout = window.setTimeout(() => timeout = undefined, throttle);
+
+                invoke(event, delegateTarget);
+
+            } else {
+
+                invoke(event, delegateTarget);
+            }
+        };
+
+        const cancel = () => {
+
+            window.clearTimeout(timeout);
+
+            timeout = undefined;
+        };
+
+        return { listener, cancel };
+    }
+
+    /**
+     * Bind the component's context request listener and let consumers in its subtree request their contexts again
+     *
+     * @remarks
+     * A consumer can be connected before its provider is upgraded, in which case its context request
+     * isn't answered. When the provider is connected, consumers of its provided contexts, which are
+     * connected in its composed subtree, request their contexts again. This also ensures, that consumers
+     * switch to a provider which is closer than the one that answered their previous request.
+     *
+     * @internal
+     * @private
+     */
+    private _provide () {
+
+        const providers = (this.constructor as typeof Component).providers;
+
+        if (!providers.size) return;
+
+        this._contextListener = (event: Event) => this._handleContextRequest(event as ContextRequestEvent);
+
+        this.addEventListener(ContextRequestEvent.type, this._contextListener);
+
+        const contexts = [...providers.values()].map(declaration => declaration.context!);
+
+        CONTEXT_CONSUMERS.forEach(consumer => {
+
+            if (consumer !== this && containsComposed(this, consumer)) consumer._consume(contexts);
+        });
+    }
+
+    /**
+     * Unbind the component's context request listener and remove its subscribers
+     *
+     * @internal
+     * @private
+     */
+    private _unprovide () {
+
+        if (this._contextListener) {
+
+            this.removeEventListener(ContextRequestEvent.type, this._contextListener);
+
+            this._contextListener = undefined;
+        }
+
+        this._contextSubscribers.clear();
+    }
+
+    /**
+     * Answer a context request for a provided property
+     *
+     * @internal
+     * @private
+     */
+    private _handleContextRequest (event: ContextRequestEvent) {
+
+        const { target, context, subscribe, callback } = event.detail;
+
+        // a component can't consume its own context
+        if (target === this) return;
+
+        let propertyKey: PropertyKey | undefined;
+
+        (this.constructor as typeof Component).providers.forEach((declaration, property) => {
+
+            if (declaration.context === context) propertyKey = property;
+        });
+
+        if (propertyKey === undefined) return;
+
+        // the nearest provider answers the request
+        event.stopPropagation();
+
+        const value = this[propertyKey as keyof this];
+
+        if (!subscribe) {
+
+            callback(value);
+
+            return;
+        }
+
+        let subscribers = this._contextSubscribers.get(propertyKey);
+
+        if (!subscribers) this._contextSubscribers.set(propertyKey, subscribers = new Set());
+
+        subscribers.add(callback);
+
+        callback(value, () => subscribers!.delete(callback));
+    }
+
+    /**
+     * Request the contexts of consumed properties
+     *
+     * @param contexts  An optional list of context keys to request, requests all consumed contexts by default
+     *
+     * @internal
+     * @private
+     */
+    private _consume (contexts?: ContextKey[]) {
+
+        const consumers = (this.constructor as typeof Component).consumers;
+
+        if (!consumers.size) return;
+
+        CONTEXT_CONSUMERS.add(this);
+
+        consumers.forEach((declaration, property) => {
+
+            if (contexts && !contexts.includes(declaration.context!)) return;
+
+            // unsubscribe from a previous provider, the request will be answered by the nearest provider
+            this._contextSubscriptions.get(property)?.();
+            this._contextSubscriptions.delete(property);
+
+            this.dispatch(new ContextRequestEvent({
+                target: this,
+                context: declaration.context!,
+                subscribe: declaration.subscribe,
+                callback: (value: any, unsubscribe?: () => void) => {
+
+                    if (unsubscribe) this._contextSubscriptions.set(property, unsubscribe);
+
+                    this[property as keyof this] = value;
+                },
+            }));
+        });
+    }
+
+    /**
+     * Unsubscribe consumed properties from their providers
+     *
+     * @internal
+     * @private
+     */
+    private _unconsume () {
+
+        this._contextSubscriptions.forEach(unsubscribe => unsubscribe());
+
+        this._contextSubscriptions.clear();
+
+        CONTEXT_CONSUMERS.delete(this);
     }
 
     /**
@@ -1188,21 +2478,23 @@ export abstract class Component extends HTMLElement {
 
         (this.constructor as typeof Component).selectors.forEach((declaration, property) => {
 
-            const root = ((typeof declaration.root === 'function')
-                ? declaration.root.call(this)
-                : declaration.root)
-                || this.renderRoot;
+            const root = this._getSelectorRoot(declaration);
+
+            if (declaration.live) {
+
+                this._observeSelector(property, declaration, root);
 
-            const element = declaration.all
-                ? root.querySelectorAll(declaration.query!)
-                : root.querySelector(declaration.query!);
+                this._updateSelection(property, this._query(declaration, root));
 
-            this[property as keyof this] = element as any;
+            } else {
+
+                this[property as keyof this] = this._query(declaration, root) as any;
+            }
         });
     }
 
     /**
-     * Reset component selector references
+     * Reset component selector references and disconnect live selector observers
      *
      * @internal
      * @private
@@ -1213,87 +2505,217 @@ export abstract class Component extends HTMLElement {
 
             this[property as keyof this] = undefined as any;
         });
+
+        this._selectorObservers.forEach(({ observer }) => observer.disconnect());
+
+        this._selectorObservers.clear();
+    }
+
+    /**
+     * Get the query root of a selector declaration
+     *
+     * @internal
+     * @private
+     */
+    private _getSelectorRoot (declaration: SelectorDeclaration): Document | DocumentFragment | Element {
+
+        return ((typeof declaration.root === 'function')
+            ? declaration.root.call(this)
+            : declaration.root)
+            || this.renderRoot;
+    }
+
+    /**
+     * Query a selector declaration
+     *
+     * @internal
+     * @private
+     */
+    private _query (declaration: SelectorDeclaration, root: Document | DocumentFragment | Element): Element | NodeListOf<Element> | null {
+
+        return declaration.all
+            ? root.querySelectorAll(declaration.query!)
+            : root.querySelector(declaration.query!);
+    }
+
+    /**
+     * Observe the query root of a live selector
+     *
+     * @remarks
+     * If the selector's query root changed since the last update, the observer is moved to the new root.
+     * The observer watches the root's subtree for added and removed nodes and for changes of the attributes
+     * the query depends on.
+     *
+     * @internal
+     * @private
+     */
+    private _observeSelector (property: PropertyKey, declaration: SelectorDeclaration, root: Document | DocumentFragment | Element) {
+
+        const current = this._selectorObservers.get(property);
+
+        if (current?.root === root) return;
+
+        current?.observer.disconnect();
+
+        const observer = new MutationObserver(() => {
+
+            this._updateSelection(property, this._query(declaration, this._getSelectorRoot(declaration)));
+        });
+
+        const attributeFilter = getQueryAttributes(declaration.query!);
+
+        observer.observe(root, attributeFilter.length
+            ? { childList: true, subtree: true, attributeFilter }
+            : { childList: true, subtree: true });
+
+        this._selectorObservers.set(property, { root, observer });
+    }
+
+    /**
+     * Update component slotted references and bind the slotchange listener
+     *
+     * @internal
+     * @private
+     */
+    private _slot () {
+
+        const slotted = (this.constructor as typeof Component).slotted;
+
+        if (!slotted.size) return;
+
+        if (!this._slotListener) {
+
+            // slotchange events bubble, but aren't composed, so we can listen on the render root
+            this._slotListener = () => this._slot();
+
+            this.renderRoot.addEventListener('slotchange', this._slotListener);
+        }
+
+        slotted.forEach((declaration, property) => {
+
+            const slot = this.renderRoot.querySelector(declaration.slot
+                ? `slot[name="${ declaration.slot }"]`
+                : 'slot:not([name])') as HTMLSlotElement | null;
+
+            const elements = slot
+                ? slot.assignedElements({ flatten: declaration.flatten }).filter(element => !declaration.selector || element.matches(declaration.selector))
+                : [];
+
+            this._updateSelection(property, elements);
+        });
+    }
+
+    /**
+     * Unbind the slotchange listener and reset component slotted references
+     *
+     * @internal
+     * @private
+     */
+    private _unslot () {
+
+        if (this._slotListener) {
+
+            this.renderRoot.removeEventListener('slotchange', this._slotListener);
+
+            this._slotListener = undefined;
+        }
+
+        (this.constructor as typeof Component).slotted.forEach((declaration, property) => {
+
+            this._updateSelection(property, []);
+        });
+    }
+
+    /**
+     * Update a selector or slotted property, if its result changed
+     *
+     * @remarks
+     * The decorated property's setter requests an update of the component. Like decorated properties, a
+     * {@link PropertyChangeEvent} is dispatched for the change.
+     *
+     * @internal
+     * @private
+     */
+    private _updateSelection (property: PropertyKey, value: any) {
+
+        const oldValue = this[property as keyof this];
+
+        if (!hasSelectionChanged(oldValue, value)) return;
+
+        this[property as keyof this] = value;
+
+        this._notifyProperty(property, oldValue, value);
     }
 
-    // TODO: review _enqueueUpdate method
-    // await previousUpdate is already deferring everything to next micro task
-    // then we await update - except for first time...
-    // we never enqueue when _hasRequestedUpdate is true and we only set it to false
-    // after the new request resolved
     /**
      * Enqueue a request for an asynchronous update
      *
+     * @remarks
+     * The update is enqueued in the shared update queue, which performs pending updates in tree order,
+     * when the component's scheduler flushes the queue. The first update of the component is always
+     * performed in the next micro-task.
+     *
      * @internal
      * @private
      */
-    private async _enqueueUpdate () {
+    private _enqueueUpdate () {
 
         let resolve: (result: boolean) => void;
 
-        const previousRequest = this._updateRequest;
-
         // mark the component as having requested an update, the {@link _requestUpdate}
         // method will not enqueue a further request for update if one is scheduled
         this._hasRequestedUpdate = true;
 
         this._updateRequest = new Promise<boolean>(res => resolve = res);
 
-        // wait for the previous update to resolve
-        // `await` is asynchronous and will return execution to the {@link requestUpdate} method
-        // and essentially allows us to batch multiple synchronous property changes, before the
-        // execution can resume here
-        await previousRequest;
+        const scheduler = (this.constructor as typeof Component).scheduler || getDefaultScheduler();
+
+        UPDATE_QUEUE.enqueue(
+            this,
+            // the first update is always performed in a micro-task, even for synchronous schedulers, so it
+            // happens after the connectedCallback (including overrides in subclasses) has completed
+            !this._hasUpdated ? SchedulerMicroTask : scheduler,
+            () => {
+
+                try {
 
-        // ask the scheduler for a new update
-        const update = this._scheduleUpdate();
+                    this._performUpdate();
 
-        // the actual update may be scheduled asynchronously as well, in which case we wait for it
-        if (update) await update;
+                } finally {
 
-        // mark component as updated *after* the update to prevent infinte loops in the update process
-        // N.B.: any property changes during the update will not trigger another update
-        this._hasRequestedUpdate = false;
+                    // mark component as updated *after* the update to prevent infinte loops in the update process
+                    // N.B.: any property changes during the update will not trigger another update
+                    this._hasRequestedUpdate = false;
 
-        // resolve the new {@link _updateRequest} after the result of the current update resolves
-        resolve!(!this._hasRequestedUpdate);
+                    resolve!(!this._hasRequestedUpdate);
+                }
+            });
     }
 
     /**
-     * Schedule the update of the component
-     *
-     * @remarks
-     * Schedules the first update of the component as soon as possible and all consecutive updates
-     * just before the next frame. In the latter case it returns a Promise which will be resolved after
-     * the update is done.
+     * Wait for the component's pending update and the pending updates of its descendants
      *
      * @internal
      * @private
      */
-    private _scheduleUpdate (): Promise<void> | void {
+    private async _getUpdateComplete (): Promise<boolean> {
 
-        if (!this._hasUpdated) {
+        const result = await this._updateRequest;
 
-            this._performUpdate();
+        const descendants = UPDATE_QUEUE.pending().filter(node => node !== this && containsComposed(this, node)) as Component[];
 
-        } else {
-
-            // schedule the update via requestAnimationFrame to avoid multiple redraws per frame
-            return new Promise(resolve => requestAnimationFrame(() => {
-
-                this._performUpdate();
+        const results = await Promise.all(descendants.map(descendant => descendant.updateComplete));
 
-                resolve();
-            }));
-        }
+        return result && results.every(descendantResult => descendantResult) && !this._hasRequestedUpdate;
     }
 
     /**
      * Perform the component update
      *
      * @remarks
-     * Invokes {@link updateCallback} after performing the update and cleans up the component
-     * state. During the first update the element's styles will be added. Dispatches the update
-     * lifecycle event.
+     * Invokes {@link updateCallback} and the `hostUpdated` hook of the component's {@link ReactiveController}s
+     * after performing the update and cleans up the component state. During the first update the element's
+     * styles will be added. Dispatches the update lifecycle event.
      *
      * @internal
      * @private
@@ -1319,6 +2741,8 @@ export abstract class Component extends HTMLElement {
 
             this.updateCallback(changes, !this._hasUpdated);
 
+            this._controllers.forEach(controller => controller.hostUpdated?.(changes, !this._hasUpdated));
+
             this._notifyLifecycle('update', { changes: changes, firstUpdate: !this._hasUpdated });
 
             this._hasUpdated = true;
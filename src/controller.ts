@@ -0,0 +1,89 @@
+import { Changes } from './component.js';
+
+/**
+ * A reactive controller interface
+ *
+ * @remarks
+ * Reactive controllers encapsulate reusable logic which is tied to a component's lifecycle. Controllers
+ * are added to a component with {@link Component.addController} or the {@link controller} decorator and
+ * the component invokes the controller's lifecycle hooks. All hooks are optional.
+ *
+ * ```typescript
+ * class ClockController implements ReactiveController {
+ *
+ *      value = new Date();
+ *
+ *      private interval?: number;
+ *
+ *      constructor (protected host: ReactiveControllerHost) {
+ *
+ *          host.addController(this);
+ *      }
+ *
+ *      hostConnected () {
+ *
+ *          this.interval = setInterval(() => {
+ *              this.value = new Date();
+ *              this.host.requestUpdate();
+ *          }, 1000);
+ *      }
+ *
+ *      hostDisconnected () {
+ *
+ *          clearInterval(this.interval);
+ *      }
+ * }
+ * ```
+ */
+export interface ReactiveController {
+    /**
+     * Invoked when the host component is connected
+     *
+     * @remarks
+     * If the controller is added to a connected host, this hook is invoked immediately.
+     */
+    hostConnected? (): void;
+
+    /**
+     * Invoked when the host component is disconnected
+     */
+    hostDisconnected? (): void;
+
+    /**
+     * Invoked when the host component updates, before it renders
+     *
+     * @param changes   A map of properties that changed in the update, containg the property key and the old value
+     */
+    hostUpdate? (changes: Changes): void;
+
+    /**
+     * Invoked after the host component updated, after its {@link Component.updateCallback}
+     *
+     * @param changes       A map of properties that changed in the update, containg the property key and the old value
+     * @param firstUpdate   A boolean indicating if this was the first update of the host
+     */
+    hostUpdated? (changes: Changes, firstUpdate: boolean): void;
+}
+
+/**
+ * A reactive controller host interface
+ *
+ * @remarks
+ * The part of the {@link Component} API which is available to {@link ReactiveController}s.
+ */
+export interface ReactiveControllerHost {
+    /**
+     * Add a controller to the host
+     */
+    addController (controller: ReactiveController): void;
+
+    /**
+     * Remove a controller from the host
+     */
+    removeController (controller: ReactiveController): void;
+
+    /**
+     * Request an update of the host
+     */
+    requestUpdate (): Promise<boolean>;
+}
@@ -0,0 +1,124 @@
+import { Component } from './component';
+import { css, CSSResult, scopeCSS, unsafeCSS } from './css';
+import { component } from './decorators';
+
+describe('css', () => {
+
+    it('creates a CSSResult', () => {
+
+        const result = css`:host { display: block; }`;
+
+        expect(result instanceof CSSResult).toBe(true);
+        expect(result.cssText).toBe(':host { display: block; }');
+        expect(`${ result }`).toBe(':host { display: block; }');
+    });
+
+    it('interpolates CSSResults and numbers', () => {
+
+        const mixinBorder = (width: number, color: CSSResult = css`silver`) => css`border: ${ width }px solid ${ color };`;
+
+        const result = css`:host { ${ mixinBorder(2) } }`;
+
+        expect(result.cssText).toBe(':host { border: 2px solid silver; }');
+    });
+
+    it('throws when interpolating other values', () => {
+
+        const color = 'red; } body { display: none;';
+
+        expect(() => css`:host { color: ${ color }; }`).toThrowError(/can't be interpolated in css/);
+        expect(css`:host { color: ${ unsafeCSS('red') }; }`.cssText).toBe(':host { color: red; }');
+    });
+
+    it('caches a shared stylesheet', () => {
+
+        const result = css`:host { display: block; }`;
+
+        expect(result.styleSheet).toBe(result.styleSheet);
+        expect(result.styleSheet instanceof CSSStyleSheet).toBe(true);
+    });
+});
+
+describe('scopeCSS', () => {
+
+    it('rewrites :host selectors', () => {
+
+        expect(scopeCSS(':host { display: block; }', 'my-element')).toBe('my-element { display: block; }');
+        expect(scopeCSS(':host(.active) { color: red; }', 'my-element')).toBe('my-element.active { color: red; }');
+        expect(scopeCSS(':host(:not([hidden])) { color: red; }', 'my-element')).toBe('my-element:not([hidden]) { color: red; }');
+        expect(scopeCSS(':host-context(.dark) span { color: white; }', 'my-element')).toBe('.dark my-element span { color: white; }');
+        expect(scopeCSS('span { color: red; }', 'my-element')).toBe('span { color: red; }');
+    });
+});
+
+describe('Component styles', () => {
+
+    const theme = css`:host { --color: green; }`;
+
+    @component({
+        selector: 'test-element-styles',
+        styles: [theme, ':host { color: var(--color); }'],
+    })
+    class TestElementStyles extends Component { }
+
+    @component({
+        selector: 'test-element-styles-light',
+        shadow: false,
+        styles: [css`:host { display: block; color: var(--color); }`],
+    })
+    class TestElementStylesLight extends Component { }
+
+    it('shares stylesheets between components', async () => {
+
+        const first = document.createElement('test-element-styles') as TestElementStyles;
+        const second = document.createElement('test-element-styles') as TestElementStyles;
+
+        document.body.append(first, second);
+
+        await first.updateComplete;
+        await second.updateComplete;
+
+        expect((first.renderRoot as ShadowRoot).adoptedStyleSheets.length).toBe(2);
+        expect((first.renderRoot as ShadowRoot).adoptedStyleSheets[0]).toBe(theme.styleSheet!);
+        expect((second.renderRoot as ShadowRoot).adoptedStyleSheets[0]).toBe(theme.styleSheet!);
+
+        document.body.removeChild(first);
+        document.body.removeChild(second);
+    });
+
+    it('adopts scoped styles of light DOM components into the document', async () => {
+
+        const first = document.createElement('test-element-styles-light') as TestElementStylesLight;
+        const second = document.createElement('test-element-styles-light') as TestElementStylesLight;
+
+        document.body.append(first, second);
+
+        await first.updateComplete;
+        await second.updateComplete;
+
+        const styleSheets = document.adoptedStyleSheets.filter(styleSheet => styleSheet.cssRules[0]?.cssText.startsWith('test-element-styles-light'));
+
+        expect(styleSheets.length).toBe(1);
+        expect(getComputedStyle(first).display).toBe('block');
+
+        document.body.removeChild(first);
+        document.body.removeChild(second);
+    });
+
+    it('adopts styles of light DOM components into the nearest shadow root', async () => {
+
+        const host = document.createElement('div');
+        const shadowRoot = host.attachShadow({ mode: 'open' });
+        const testElement = document.createElement('test-element-styles-light') as TestElementStylesLight;
+
+        shadowRoot.appendChild(testElement);
+        document.body.appendChild(host);
+
+        await testElement.updateComplete;
+
+        expect(shadowRoot.adoptedStyleSheets.length).toBe(1);
+        expect(getComputedStyle(testElement).display).toBe('block');
+
+        document.body.removeChild(host);
+    });
+});
@@ -1,22 +1,128 @@
 /**
- * A simple css template literal tag
+ * @internal
+ */
+const CSS_VALUE_ERROR = (value: any) => new Error(`Value ${ String(value) } can't be interpolated in css. Use a CSSResult, a number or unsafeCSS.`);
+
+/**
+ * A css result, as created by the {@link css} template literal tag
+ *
+ * @remarks
+ * A CSSResult holds the css text of a stylesheet and lazily creates a constructable {@link CSSStyleSheet}
+ * for it. The stylesheet is cached, so every component which uses the same CSSResult shares the same
+ * stylesheet instance. Changes to the shared stylesheet, e.g. to swap a theme at runtime, affect all
+ * components which adopted it.
+ *
+ * ```typescript
+ * const theme = css`:host { --primary-color: dodgerblue; }`;
+ *
+ * // swap the theme for all components which use it
+ * theme.styleSheet?.replaceSync(':host { --primary-color: tomato; }');
+ * ```
+ */
+export class CSSResult {
+
+    /**
+     * The cached {@link CSSStyleSheet} instance, `null` if constructable stylesheets are not supported
+     *
+     * @internal
+     * @private
+     */
+    private _styleSheet: CSSStyleSheet | null | undefined;
+
+    /**
+     * The CSSResult constructor
+     *
+     * @remarks
+     * Use the {@link css} template literal tag or {@link unsafeCSS} to create CSSResults.
+     *
+     * @param cssText   The css text of the result
+     */
+    constructor (readonly cssText: string) { }
+
+    /**
+     * The CSSResult's {@link CSSStyleSheet}
+     *
+     * @remarks
+     * When constructable stylesheets are available, this getter will create a {@link CSSStyleSheet}
+     * instance and cache it for use with each component which uses the CSSResult.
+     */
+    get styleSheet (): CSSStyleSheet | undefined {
+
+        if (this._styleSheet === undefined) {
+
+            try {
+
+                this._styleSheet = new CSSStyleSheet();
+                this._styleSheet.replaceSync(this.cssText);
+
+            } catch (error) {
+
+                this._styleSheet = null;
+            }
+        }
+
+        return this._styleSheet ?? undefined;
+    }
+
+    toString (): string {
+
+        return this.cssText;
+    }
+}
+
+/**
+ * A type guard for {@link CSSResult}
+ *
+ * @param value A value to test
+ */
+export function isCSSResult (value: any): value is CSSResult {
+
+    return value instanceof CSSResult;
+}
+
+/**
+ * Creates a {@link CSSResult} from an arbitrary value
+ *
+ * @remarks
+ * Values interpolated in the {@link css} template literal tag have to be CSSResults or numbers, to prevent
+ * css injection. Use this function to interpolate other values, but only if they come from a trusted source.
+ *
+ * ```typescript
+ * const mixinBorder = (color: string) => css`
+ *   border: 1px solid ${ unsafeCSS(color) };
+ * `;
+ * ```
+ *
+ * @param value A value to use as css text
+ * @returns     A CSSResult for the value
+ */
+export function unsafeCSS (value: any): CSSResult {
+
+    return new CSSResult(String(value));
+}
+
+/**
+ * A css template literal tag
  *
  * @remarks
- * The tag itself doesn't do anything that an untagged template literal wouldn't do, but it can be used by
- * editor plugins to infer the "virtual document type" to provide code completion and highlighting. It could
- * also be used in the future to more securely convert substitutions into strings.
+ * The tag creates a {@link CSSResult} which can be used in the {@link Component.styles} or the {@link component}
+ * decorator's `styles` option. The tag can also be used by editor plugins to infer the "virtual document type"
+ * to provide code completion and highlighting.
+ *
+ * Substitutions have to be CSSResults (e.g. mixins created with the css tag) or numbers. Any other value will
+ * throw an error to prevent css injection. Use {@link unsafeCSS} to interpolate trusted values.
  *
  * ```typescript
- * const color = 'green';
+ * const color = css`green`;
  *
- * const mixinBox = (borderWidth: string = '1px', borderColor: string = 'silver') => css`
+ * const mixinBox = (borderWidth: number = 1, borderColor: CSSResult = css`silver`) => css`
  *   display: block;
  *   box-sizing: border-box;
- *   border: ${borderWidth} solid ${borderColor};
+ *   border: ${ borderWidth }px solid ${ borderColor };
  * `;
  *
  * const mixinHover = (selector: string) => css`
- * ${ selector }:hover {
+ * ${ unsafeCSS(selector) }:hover {
  *   background-color: var(--hover-color, dodgerblue);
  * }
  * `;
@@ -53,37 +159,81 @@
  * }
  * ```
  */
-export const css = (literals: TemplateStringsArray, ...substitutions: any[]) => {
+export const css = (literals: TemplateStringsArray, ...substitutions: any[]): CSSResult => {
 
-    return substitutions.reduce((prev: string, curr: any, i: number) => prev + curr + literals[i + 1], literals[0]);
+    return new CSSResult(substitutions.reduce((prev: string, curr: any, i: number) => prev + cssValue(curr) + literals[i + 1], literals[0]));
 };
 
-// const color = 'green';
+/**
+ * Scopes css text to a selector by replacing `:host` selectors
+ *
+ * @remarks
+ * Components which don't use Shadow DOM can't use the `:host` selector in their styles. This function
+ * rewrites `:host` to the component's selector, `:host(<selector>)` to the component's selector combined
+ * with `<selector>` and `:host-context(<selector>)` to `<selector>` followed by the component's selector.
+ *
+ * ```typescript
+ * scopeCSS(':host { display: block; } :host(.active) { color: red; }', 'my-element');
+ *
+ * // will produce...
+ * my-element { display: block; } my-element.active { color: red; }
+ * ```
+ *
+ * @param cssText   The css text to scope
+ * @param selector  The selector to replace `:host` with
+ * @returns         The scoped css text
+ */
+export function scopeCSS (cssText: string, selector: string): string {
+
+    let result = '';
+    let index = 0;
+    let match: number;
+
+    while ((match = cssText.indexOf(':host', index)) > -1) {
+
+        result += cssText.substring(index, match);
+        index = match + 5;
+
+        const isContext = cssText.startsWith('-context(', index);
+
+        if (isContext) index += 8;
+
+        if (cssText[index] !== '(') {
 
-// const mixinBox = (borderWidth: string = '1px', borderColor: string = 'silver') => css`
-//   display: block;
-//   box-sizing: border-box;
-//   border: ${borderWidth} solid ${borderColor};
-// `;
+            result += selector;
+            continue;
+        }
 
-// const mixinHover = (selector: string) => css`
-// ${ selector }:hover {
-//   background-color: var(--hover-color, dodgerblue);
-// }
-// `;
+        // find the closing parenthesis, selectors can contain nested parentheses, e.g.: `:host(:not(.active))`
+        let depth = 0;
+        let end = index;
 
-// const styles = css`
-// :host {
-//   --hover-color: ${ color };
-//   display: block;
-//   ${ mixinBox() }
-// }
+        for (; end < cssText.length; end++) {
+
+            if (cssText[end] === '(') depth++;
+            if (cssText[end] === ')' && --depth === 0) break;
+        }
+
+        const argument = cssText.substring(index + 1, end).trim();
+
+        result += isContext ? `${ argument } ${ selector }` : `${ selector }${ argument }`;
+        index = end + 1;
+    }
+
+    return result + cssText.substring(index);
+}
+
+/**
+ * Converts a css substitution to css text
+ *
+ * @internal
+ * @private
+ */
+function cssValue (value: any): string {
 
-// ${ mixinHover(':host') }
+    if (isCSSResult(value)) return value.cssText;
 
-// ::slotted(*) {
-//   margin: 0;
-// }
-// `;
+    if (typeof value === 'number') return String(value);
 
-// console.log(styles);
+    throw CSS_VALUE_ERROR(value);
+}
@@ -1,5 +1,7 @@
 import { Component } from '../component.js';
 import { TemplateResult } from 'lit-html';
+import { Scheduler } from '../scheduler.js';
+import { CSSResult } from '../css.js';
 
 /**
  * A {@link Component} declaration
@@ -38,19 +40,66 @@ export interface ComponentDeclaration<Type extends Component = Component> {
      * Default value: `true`
      */
     define: boolean;
+    /**
+     * Make the component a form-associated custom element?
+     *
+     * @remarks
+     * Form-associated components participate in native `<form>` submission, validation, `form.reset()`
+     * and browser autofill/restore. The component will create an {@link ElementInternals} instance in
+     * its constructor, which is available as {@link Component.internals}. Use the {@link property}
+     * decorator's `formValue` option to mark the property which holds the component's form value.
+     *
+     * ```typescript
+     * @component({
+     *      selector: 'my-input',
+     *      formAssociated: true
+     * })
+     * class MyInput extends Component {
+     *
+     *      @property({ formValue: true })
+     *      value = '';
+     * }
+     * ```
+     *
+     * If no value is specified, the component inherits the static {@link Component.formAssociated} property
+     * of its base class, or defaults to `false`.
+     *
+     * Default value: `undefined`
+     */
+    formAssociated?: boolean;
+    /**
+     * The component's update scheduler
+     *
+     * @remarks
+     * The scheduler decides when the component's requested updates are performed. If no scheduler is
+     * specified, the component uses the static {@link Component.scheduler} property or the global default
+     * scheduler (see {@link setDefaultScheduler}). Regardless of the scheduler, the first update of a component
+     * is performed in the next micro-task, after the component's `connectedCallback` has completed.
+     *
+     * ```typescript
+     * @component({
+     *      selector: 'my-element',
+     *      scheduler: SchedulerMacroTask
+     * })
+     * ```
+     *
+     * Default value: `undefined`
+     */
+    scheduler?: Scheduler;
     // TODO: test media queries
     /**
      * The component's styles
      *
      * @remarks
-     * An array of CSS rulesets (https://developer.mozilla.org/en-US/docs/Web/CSS/Syntax#CSS_rulesets).
+     * An array of {@link CSSResult}s created with the {@link css} template literal tag, or strings of
+     * CSS rulesets (https://developer.mozilla.org/en-US/docs/Web/CSS/Syntax#CSS_rulesets).
      * Styles defined using the decorator will be merged with styles defined in the component's
      * static {@link Component.styles} getter.
      *
      * ```typescript
      * @component({
      *      styles: [
-     *          'h1, h2 { font-size: 16pt; }',
+     *          css`h1, h2 { font-size: 16pt; }`,
      *          '@media screen and (min-width: 900px) { article { padding: 1rem 3rem; } }'
      *      ]
      * })
@@ -58,7 +107,7 @@ export interface ComponentDeclaration<Type extends Component = Component> {
      *
      * Default value: `undefined`
      */
-    styles?: string[];
+    styles?: (CSSResult | string)[];
     // TODO: update documentation
     /**
      * The component's template
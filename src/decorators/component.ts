@@ -1,4 +1,5 @@
 import { Component } from '../component.js';
+import { CSSResult } from '../css.js';
 import { ComponentDeclaration, DEFAULT_COMPONENT_DECLARATION } from './component-declaration.js';
 import { DecoratedComponentType } from './property.js';
 
@@ -17,7 +18,9 @@ export function component<Type extends Component = Component> (options: Partial<
 
         constructor.selector = declaration.selector || target.selector;
         constructor.shadow = declaration.shadow;
+        constructor.formAssociated = declaration.formAssociated ?? target.formAssociated ?? false;
         constructor.template = declaration.template || target.template;
+        constructor.scheduler = declaration.scheduler || target.scheduler;
 
         // use keyof signatures to catch refactoring errors
         const observedAttributesKey: keyof typeof Component = 'observedAttributes';
@@ -87,7 +90,7 @@ export function component<Type extends Component = Component> (options: Partial<
         Reflect.defineProperty(constructor, stylesKey, {
             configurable: true,
             enumerable: true,
-            get (): string[] {
+            get (): (CSSResult | string)[] {
                 return styles;
             }
         });
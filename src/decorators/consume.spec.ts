@@ -0,0 +1,128 @@
+import { html } from 'lit-html';
+import { Component } from '../component';
+import { component } from './component';
+import { consume } from './consume';
+import { provide } from './provide';
+
+const THEME = Symbol('theme');
+
+@component({
+    selector: 'test-element-provider',
+    template: () => html`<slot></slot><test-element-consumer></test-element-consumer>`,
+})
+class TestElementProvider extends Component {
+
+    @provide(THEME)
+    theme = 'light';
+}
+
+@component({
+    selector: 'test-element-consumer',
+})
+class TestElementConsumer extends Component {
+
+    @consume(THEME, { subscribe: true })
+    theme: string | undefined;
+
+    @consume(THEME)
+    initialTheme: string | undefined;
+}
+
+describe('@provide and @consume decorators', () => {
+
+    let provider: TestElementProvider;
+    let consumer: TestElementConsumer;
+
+    beforeEach(() => {
+
+        provider = document.createElement('test-element-provider') as TestElementProvider;
+        consumer = document.createElement('test-element-consumer') as TestElementConsumer;
+    });
+
+    afterEach(() => {
+
+        if (provider.isConnected) document.body.removeChild(provider);
+    });
+
+    it('stores the declarations in the constructor', () => {
+
+        expect(TestElementProvider.providers.get('theme')).toEqual({ context: THEME });
+        expect(TestElementConsumer.consumers.get('theme')).toEqual({ context: THEME, subscribe: true });
+        expect(TestElementConsumer.consumers.get('initialTheme')).toEqual({ context: THEME, subscribe: false });
+    });
+
+    it('provides values to light DOM and shadow DOM consumers', (done) => {
+
+        provider.addEventListener('update', (event: Event) => {
+
+            // lifecycle events of consumers bubble up to the provider
+            if (event.target !== provider) return;
+
+            // the provider's template is rendered in its first update
+            const shadowConsumer = provider.renderRoot.querySelector('test-element-consumer') as TestElementConsumer;
+
+            expect(shadowConsumer.theme).toBe('light');
+
+            done();
+        });
+
+        provider.appendChild(consumer);
+        document.body.appendChild(provider);
+
+        expect(consumer.theme).toBe('light');
+    });
+
+    it('updates subscribed consumers', (done) => {
+
+        provider.appendChild(consumer);
+        document.body.appendChild(provider);
+
+        provider.theme = 'dark';
+
+        expect(consumer.theme).toBe('dark');
+        expect(consumer.initialTheme).toBe('light');
+
+        consumer.addEventListener('update', () => {
+
+            expect(consumer.theme).toBe('dark');
+
+            done();
+        });
+    });
+
+    it('handles providers which are connected after their consumers', () => {
+
+        const selector = 'test-element-late-provider';
+        const lateProvider = document.createElement(selector);
+
+        lateProvider.appendChild(consumer);
+        document.body.appendChild(lateProvider);
+
+        expect(consumer.theme).toBeUndefined();
+
+        @component({ selector })
+        class TestElementLateProvider extends Component {
+
+            @provide(THEME)
+            theme = 'late';
+        }
+
+        // defining the component upgrades the connected element
+        expect(lateProvider instanceof TestElementLateProvider).toBe(true);
+        expect(consumer.theme).toBe('late');
+
+        document.body.removeChild(lateProvider);
+    });
+
+    it('unsubscribes disconnected consumers', () => {
+
+        provider.appendChild(consumer);
+        document.body.appendChild(provider);
+
+        provider.removeChild(consumer);
+
+        provider.theme = 'dark';
+
+        expect(consumer.theme).toBe('light');
+    });
+});
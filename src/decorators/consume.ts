@@ -0,0 +1,105 @@
+import { Component } from '../component.js';
+import { ConsumeDeclaration, ContextKey, DEFAULT_CONSUME_DECLARATION } from './context-declaration.js';
+import { getPropertyDescriptor } from './utils/get-property-descriptor.js';
+
+/**
+ * Decorates a {@link Component} property as a context consumer
+ *
+ * @remarks
+ * When the component is connected, it dispatches a {@link ContextRequestEvent} for the context key.
+ * The nearest ancestor component which provides the context key (see {@link provide}) will answer the
+ * request and the provided value will be assigned to the property. Changes of the property request an
+ * update of the component. If the provider is upgraded after the consumer was connected, the consumer
+ * will request the context again, once the provider is connected.
+ *
+ * ```typescript
+ * @component({ selector: 'my-button' })
+ * class MyButton extends Component {
+ *
+ *      @consume(THEME, { subscribe: true })
+ *      theme!: string;
+ * }
+ * ```
+ *
+ * @param context The context key to consume
+ * @param options An optional consume declaration
+ */
+export function consume (context: ContextKey | null, options: Partial<Omit<ConsumeDeclaration, 'context'>> = {}) {
+
+    return function (
+        target: Object,
+        propertyKey: PropertyKey,
+        propertyDescriptor?: PropertyDescriptor,
+    ): any {
+
+        const descriptor = propertyDescriptor || getPropertyDescriptor(target, propertyKey);
+        const hiddenKey = Symbol(`__${ propertyKey.toString() }`);
+
+        const getter = descriptor?.get || function (this: any) { return this[hiddenKey]; };
+        const setter = descriptor?.set || function (this: any, value: any) { this[hiddenKey] = value; };
+
+        const wrappedDescriptor: PropertyDescriptor & ThisType<any> = {
+            configurable: true,
+            enumerable: true,
+            get (): any {
+                return getter.call(this);
+            },
+            set (value: any): void {
+                const oldValue = getter.call(this);
+                setter.call(this, value);
+                // consumed values are not necessarily decorated properties, so they don't appear in the
+                // property maps, that's why we invoke requestUpdate without any parameters
+                if (oldValue !== getter.call(this)) {
+
+                    this.requestUpdate();
+                }
+            }
+        }
+
+        const constructor = target.constructor as typeof Component;
+
+        prepareConstructor(constructor);
+
+        if (context === null) {
+
+            constructor.consumers.delete(propertyKey);
+
+        } else {
+
+            constructor.consumers.set(propertyKey, { ...DEFAULT_CONSUME_DECLARATION, ...options, context } as ConsumeDeclaration);
+        }
+
+        if (!propertyDescriptor) {
+
+            // if no propertyDescriptor was defined for this decorator, this decorator is a property
+            // decorator which must return void and we can define the wrapped descriptor here
+            Object.defineProperty(target, propertyKey, wrappedDescriptor);
+
+        } else {
+
+            // if a propertyDescriptor was defined for this decorator, this decorator is an accessor
+            // decorator and we must return the wrapped property descriptor
+            return wrappedDescriptor;
+        }
+    }
+}
+
+/**
+ * Prepares the component constructor by initializing static properties for the consume decorator,
+ * so we don't modify a base class's static properties.
+ *
+ * @remarks
+ * When the consume decorator stores consume declarations in the constructor, we have to make sure the
+ * static consumers field is initialized on the current constructor. Otherwise we add consume declarations
+ * to the base class's static field. We also make sure to initialize the consumers map with the values of
+ * the base class's map to properly inherit all consume declarations.
+ *
+ * @param constructor The component constructor to prepare
+ *
+ * @internal
+ * @private
+ */
+function prepareConstructor (constructor: typeof Component) {
+
+    if (!constructor.hasOwnProperty('consumers')) constructor.consumers = new Map(constructor.consumers);
+}
@@ -0,0 +1,57 @@
+/**
+ * A key which identifies a context
+ *
+ * @remarks
+ * Providers and consumers are matched by strict equality of their context keys. Using symbols
+ * or objects as context keys prevents clashes between unrelated contexts.
+ *
+ * ```typescript
+ * export const THEME = Symbol('theme');
+ * ```
+ */
+export type ContextKey = PropertyKey | object;
+
+/**
+ * A {@link Component} context provider declaration
+ */
+export interface ProvideDeclaration {
+    /**
+     * The context key to provide
+     *
+     * @remarks
+     * Setting context to `null` allows to unbind an inherited provider.
+     */
+    context: ContextKey | null;
+}
+
+/**
+ * A {@link Component} context consumer declaration
+ */
+export interface ConsumeDeclaration {
+    /**
+     * The context key to consume
+     *
+     * @remarks
+     * Setting context to `null` allows to unbind an inherited consumer.
+     */
+    context: ContextKey | null;
+
+    /**
+     * Subscribe to changes of the provided value?
+     *
+     * @remarks
+     * If `false`, the consumer receives the provided value only once, when it's connected. If `true`,
+     * the consumer receives every new value, until it's disconnected.
+     *
+     * Default value: `false`
+     */
+    subscribe: boolean;
+}
+
+/**
+ * The default {@link ConsumeDeclaration}
+ */
+export const DEFAULT_CONSUME_DECLARATION: ConsumeDeclaration = {
+    context: null,
+    subscribe: false,
+};
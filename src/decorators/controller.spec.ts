@@ -0,0 +1,100 @@
+import { Changes, Component } from '../component';
+import { ReactiveController, ReactiveControllerHost } from '../controller';
+import { component } from './component';
+import { controller } from './controller';
+import { property } from './property';
+
+class TestController implements ReactiveController {
+
+    recordedHooks: string[] = [];
+
+    constructor (public host?: ReactiveControllerHost) { }
+
+    hostConnected () {
+
+        this.recordedHooks.push('CONNECTED');
+    }
+
+    hostDisconnected () {
+
+        this.recordedHooks.push('DISCONNECTED');
+    }
+
+    hostUpdate (changes: Changes) {
+
+        this.recordedHooks.push('UPDATE');
+    }
+
+    hostUpdated (changes: Changes, firstUpdate: boolean) {
+
+        this.recordedHooks.push(firstUpdate ? 'FIRST UPDATED' : 'UPDATED');
+    }
+}
+
+@component({
+    selector: 'test-element-controller'
+})
+class TestElement extends Component {
+
+    @controller()
+    testController = new TestController(this);
+
+    @property()
+    value = 0;
+}
+
+describe('@controller decorator', () => {
+
+    let testElement: TestElement;
+
+    beforeEach(() => {
+
+        testElement = document.createElement('test-element-controller') as TestElement;
+    });
+
+    it('invokes controller hooks in the component lifecycle', (done) => {
+
+        const testController = testElement.testController;
+
+        testElement.addEventListener('update', (event: Event) => {
+
+            if ((event as CustomEvent).detail.firstUpdate) {
+
+                expect(testController.recordedHooks).toEqual(['CONNECTED', 'UPDATE', 'FIRST UPDATED']);
+
+                // controllers can request an update of the host
+                Promise.resolve().then(() => testController.host!.requestUpdate());
+
+            } else {
+
+                document.body.removeChild(testElement);
+
+                expect(testController.recordedHooks).toEqual(['CONNECTED', 'UPDATE', 'FIRST UPDATED', 'UPDATE', 'UPDATED', 'DISCONNECTED']);
+
+                done();
+            }
+        });
+
+        document.body.appendChild(testElement);
+    });
+
+    it('replaces controllers when the property is reassigned', () => {
+
+        const previousController = testElement.testController;
+        const nextController = new TestController();
+
+        document.body.appendChild(testElement);
+
+        testElement.testController = nextController;
+
+        // controllers added to a connected host are connected immediately
+        expect(nextController.recordedHooks).toEqual(['CONNECTED']);
+        // controllers removed from a connected host are disconnected immediately
+        expect(previousController.recordedHooks).toEqual(['CONNECTED', 'DISCONNECTED']);
+
+        document.body.removeChild(testElement);
+
+        expect(nextController.recordedHooks).toEqual(['CONNECTED', 'DISCONNECTED']);
+        expect(previousController.recordedHooks).toEqual(['CONNECTED', 'DISCONNECTED']);
+    });
+});
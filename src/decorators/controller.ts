@@ -0,0 +1,65 @@
+import { Component } from '../component.js';
+import { getPropertyDescriptor } from './utils/get-property-descriptor.js';
+
+/**
+ * Decorates a {@link Component} property as a reactive controller
+ *
+ * @remarks
+ * Any {@link ReactiveController} which is assigned to the property is added to the component
+ * automatically. If the property is reassigned, the previous controller is removed (and disconnected,
+ * if the component is connected).
+ *
+ * ```typescript
+ * class MyElement extends Component {
+ *
+ *      @controller()
+ *      clock = new ClockController();
+ * }
+ * ```
+ */
+export function controller () {
+
+    return function (
+        target: Object,
+        propertyKey: PropertyKey,
+        propertyDescriptor?: PropertyDescriptor,
+    ): any {
+
+        const descriptor = propertyDescriptor || getPropertyDescriptor(target, propertyKey);
+        const hiddenKey = Symbol(`__${ propertyKey.toString() }`);
+
+        const getter = descriptor?.get || function (this: any) { return this[hiddenKey]; };
+        const setter = descriptor?.set || function (this: any, value: any) { this[hiddenKey] = value; };
+
+        const wrappedDescriptor: PropertyDescriptor & ThisType<Component> = {
+            configurable: true,
+            enumerable: true,
+            get (): any {
+                return getter.call(this);
+            },
+            set (value: any): void {
+                const oldValue = getter.call(this);
+                setter.call(this, value);
+                const newValue = getter.call(this);
+                if (oldValue !== newValue) {
+
+                    if (oldValue) this.removeController(oldValue);
+                    if (newValue) this.addController(newValue);
+                }
+            }
+        }
+
+        if (!propertyDescriptor) {
+
+            // if no propertyDescriptor was defined for this decorator, this decorator is a property
+            // decorator which must return void and we can define the wrapped descriptor here
+            Object.defineProperty(target, propertyKey, wrappedDescriptor);
+
+        } else {
+
+            // if a propertyDescriptor was defined for this decorator, this decorator is an accessor
+            // decorator and we must return the wrapped property descriptor
+            return wrappedDescriptor;
+        }
+    }
+}
@@ -1,9 +1,18 @@
 export * from './attribute-converter.js';
 export * from './component.js';
 export * from './component-declaration.js';
+export * from './consume.js';
+export * from './context-declaration.js';
+export * from './controller.js';
 export * from './listener.js';
 export * from './listener-declaration.js';
+export * from './provide.js';
 export * from './selector.js';
 export * from './selector-declaration.js';
+export * from './slotted.js';
+export * from './slotted-declaration.js';
 export * from './property.js';
 export * from './property-declaration.js';
+export * from './property-type.js';
+export * from './task.js';
+export * from './task-declaration.js';
@@ -27,7 +27,9 @@ export interface ListenerDeclaration<Type extends Component = Component> {
      *
      * If a function is provided, the function will be invoked by component after its
      * {@link connectedCallback} has updated the component. The context of the function will
-     * be the component instance.
+     * be the component instance. The function is invoked again after each update and if it
+     * returns a different event target, the listener is removed from the previous target and
+     * added to the new one.
      *
      * ```typescript
      * class MyElement extends Component {
@@ -55,4 +57,66 @@ export interface ListenerDeclaration<Type extends Component = Component> {
      * ```
      */
     target?: EventTarget | ((this: Type) => EventTarget | undefined);
+    /**
+     * A CSS selector to delegate the event
+     *
+     * @remarks
+     * If a selector is provided, the listener is only invoked for events which originate from an element
+     * matching the selector. The composed path of the event is searched for a matching element, up to the
+     * event's current target or the component's {@link Component.renderRoot}, so the selector will match
+     * elements within the component's render root, even if the event originated in a nested shadow root.
+     * The matching element is passed to the listener as second argument.
+     *
+     * ```typescript
+     * class MyElement extends Component {
+     *
+     *      @listener({
+     *          event: 'click',
+     *          delegate: 'li[data-id]'
+     *      })
+     *      onItemClick (event: MouseEvent, item: HTMLElement) {
+     *          // do something with item.dataset.id
+     *      }
+     * }
+     * ```
+     */
+    delegate?: string;
+    /**
+     * A list of keys to filter keyboard events
+     *
+     * @remarks
+     * If a list of keys is provided, the listener is only invoked for events whose `key` property is
+     * included in the list (see https://developer.mozilla.org/en-US/docs/Web/API/KeyboardEvent/key/Key_Values).
+     *
+     * ```typescript
+     * class MyElement extends Component {
+     *
+     *      @listener({
+     *          event: 'keydown',
+     *          keys: ['Enter', ' ']
+     *      })
+     *      onActivate (event: KeyboardEvent) {
+     *          // handle enter and space keys
+     *      }
+     * }
+     * ```
+     */
+    keys?: string[];
+    /**
+     * Throttle the listener by a number of milliseconds
+     *
+     * @remarks
+     * A throttled listener is invoked for the first event, then events are ignored until the
+     * specified time has passed.
+     */
+    throttle?: number;
+    /**
+     * Debounce the listener by a number of milliseconds
+     *
+     * @remarks
+     * A debounced listener is invoked with the last event, once no event occurred for the specified
+     * time. Pending invocations are canceled when the listener is unbound. If `debounce` is set,
+     * `throttle` is ignored.
+     */
+    debounce?: number;
 }
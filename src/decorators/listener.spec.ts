@@ -246,4 +246,220 @@ describe('@listener decorator', () => {
             document.body.appendChild(testElement);
         });
     });
+
+    describe('@listener decorator: delegate and keys', () => {
+
+        @component<TestElement>({
+            selector: 'test-element-listener-delegate',
+            template: () => html`<ul><li data-id="1"><span>One</span></li><li data-id="2">Two</li></ul><button>Button</button>`
+        })
+        class TestElement extends Component {
+
+            clickedItems: string[] = [];
+
+            pressedKeys: string[] = [];
+
+            @listener({
+                event: 'click',
+                delegate: 'li[data-id]'
+            })
+            handleItemClick (event: MouseEvent, item: HTMLElement) {
+
+                this.clickedItems.push(item.dataset.id!);
+            }
+
+            @listener({
+                event: 'keydown',
+                keys: ['Enter', ' ']
+            })
+            handleKeydown (event: KeyboardEvent) {
+
+                this.pressedKeys.push(event.key);
+            }
+        }
+
+        let testElement: TestElement;
+
+        beforeEach(async () => {
+
+            testElement = document.createElement(TestElement.selector) as TestElement;
+
+            document.body.appendChild(testElement);
+
+            await testElement.updateComplete;
+        });
+
+        afterEach(() => {
+
+            document.body.removeChild(testElement);
+        });
+
+        it('should invoke delegated listeners with the matching element', () => {
+
+            testElement.renderRoot.querySelector('span')!.click();
+            testElement.renderRoot.querySelector('li[data-id="2"]')!.dispatchEvent(new MouseEvent('click', { bubbles: true, composed: true }));
+            testElement.renderRoot.querySelector('button')!.click();
+
+            expect(testElement.clickedItems).toEqual(['1', '2']);
+        });
+
+        it('should filter keyboard events by key', () => {
+
+            ['Enter', 'a', ' ', 'Escape'].forEach(key => testElement.dispatchEvent(new KeyboardEvent('keydown', { key })));
+
+            expect(testElement.pressedKeys).toEqual(['Enter', ' ']);
+        });
+    });
+
+    describe('@listener decorator: throttle and debounce', () => {
+
+        @component({
+            selector: 'test-element-listener-timing'
+        })
+        class TestElement extends Component {
+
+            throttled = 0;
+
+            debounced: string[] = [];
+
+            @listener({
+                event: 'throttled',
+                throttle: 50
+            })
+            handleThrottled () {
+
+                this.throttled++;
+            }
+
+            @listener({
+                event: 'debounced',
+                debounce: 20
+            })
+            handleDebounced (event: CustomEvent) {
+
+                this.debounced.push(event.detail);
+            }
+        }
+
+        let testElement: TestElement;
+
+        beforeEach(async () => {
+
+            testElement = document.createElement(TestElement.selector) as TestElement;
+
+            document.body.appendChild(testElement);
+
+            await testElement.updateComplete;
+
+            jasmine.clock().install();
+        });
+
+        afterEach(() => {
+
+            jasmine.clock().uninstall();
+
+            if (testElement.isConnected) document.body.removeChild(testElement);
+        });
+
+        it('should throttle listeners', () => {
+
+            testElement.dispatchEvent(new CustomEvent('throttled'));
+            testElement.dispatchEvent(new CustomEvent('throttled'));
+
+            expect(testElement.throttled).toBe(1);
+
+            jasmine.clock().tick(49);
+
+            testElement.dispatchEvent(new CustomEvent('throttled'));
+
+            expect(testElement.throttled).toBe(1);
+
+            jasmine.clock().tick(1);
+
+            testElement.dispatchEvent(new CustomEvent('throttled'));
+
+            expect(testElement.throttled).toBe(2);
+        });
+
+        it('should debounce listeners', () => {
+
+            testElement.dispatchEvent(new CustomEvent('debounced', { detail: 'first' }));
+
+            jasmine.clock().tick(19);
+
+            testElement.dispatchEvent(new CustomEvent('debounced', { detail: 'last' }));
+
+            jasmine.clock().tick(19);
+
+            expect(testElement.debounced).toEqual([]);
+
+            jasmine.clock().tick(1);
+
+            expect(testElement.debounced).toEqual(['last']);
+        });
+
+        it('should cancel debounced listeners when disconnected', () => {
+
+            testElement.dispatchEvent(new CustomEvent('debounced', { detail: 'first' }));
+
+            document.body.removeChild(testElement);
+
+            jasmine.clock().tick(20);
+
+            expect(testElement.debounced).toEqual([]);
+        });
+    });
+
+    describe('@listener decorator: rebinding', () => {
+
+        it('should rebind listeners when the target changes after an update', async () => {
+
+            @component<TestElement>({
+                selector: 'test-element-listener-rebind',
+                template: element => element.toggle
+                    ? html`<button class="second">Second</button>`
+                    : html`<div><button class="first">First</button></div>`
+            })
+            class TestElement extends Component {
+
+                @property({ attribute: false })
+                toggle = false;
+
+                clicked: string[] = [];
+
+                @listener<TestElement>({
+                    event: 'click',
+                    target: function () { return this.renderRoot.querySelector('button')!; }
+                })
+                handleClick (event: MouseEvent) {
+
+                    this.clicked.push((event.target as HTMLElement).className);
+                }
+            }
+
+            const testElement = document.createElement(TestElement.selector) as TestElement;
+
+            document.body.appendChild(testElement);
+
+            await testElement.updateComplete;
+
+            const first = testElement.renderRoot.querySelector('button')!;
+
+            first.click();
+
+            testElement.toggle = true;
+
+            await testElement.updateComplete;
+
+            const second = testElement.renderRoot.querySelector('button')!;
+
+            first.click();
+            second.click();
+
+            expect(second).not.toBe(first);
+            expect(testElement.clicked).toEqual(['first', 'second']);
+
+            document.body.removeChild(testElement);
+        });
+    });
 });
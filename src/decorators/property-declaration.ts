@@ -1,5 +1,6 @@
 import { Component } from '../component.js';
 import { AttributeConverter, AttributeConverterDefault } from './attribute-converter.js';
+import { PropertyType } from './property-type.js';
 import { kebabCase } from './utils/string-utils.js';
 
 /**
@@ -22,6 +23,41 @@ export type PropertyNotifier<Type extends Component = Component> = (this: Type,
  */
 export type PropertyChangeDetector = (oldValue: any, newValue: any) => boolean;
 
+/**
+ * A value which can be submitted with a form, as accepted by {@link ElementInternals.setFormValue}
+ */
+export type FormValue = File | string | FormData | null;
+
+/**
+ * A function that will map a property value to a {@link FormValue}
+ */
+export type FormValueMapper<Type extends Component = Component> = (this: Type, value: any) => FormValue;
+
+/**
+ * A function that will validate a property value
+ *
+ * @remarks
+ * The validator returns `true` if the value is valid. It can return `false` or an error message
+ * if the value is invalid.
+ */
+export type PropertyValidator<Type extends Component = Component> = (this: Type, value: any) => boolean | string;
+
+/**
+ * The reason why a property value is invalid
+ */
+export type PropertyInvalidReason = 'type' | 'required' | 'enum' | 'min' | 'max' | 'validate';
+
+/**
+ * The policy for handling invalid property values
+ *
+ * @remarks
+ * Possible values:
+ * * `'reject'`: Invalid values are not set, the property keeps its current value
+ * * `'clamp'`: Values which violate the `min` or `max` constraint are clamped, other invalid values are rejected
+ * * `'accept'`: Invalid values are set anyway
+ */
+export type PropertyInvalidPolicy = 'reject' | 'clamp' | 'accept';
+
 /**
  * A type guard for {@link AttributeReflector}
  *
@@ -62,6 +98,26 @@ export function isPropertyChangeDetector (detector: any): detector is PropertyCh
     return typeof detector === 'function';
 }
 
+/**
+ * A type guard for {@link FormValueMapper}
+ *
+ * @param mapper A mapper to test
+ */
+export function isFormValueMapper (mapper: any): mapper is FormValueMapper {
+
+    return typeof mapper === 'function';
+}
+
+/**
+ * A type guard for {@link PropertyValidator}
+ *
+ * @param validator A validator to test
+ */
+export function isPropertyValidator (validator: any): validator is PropertyValidator {
+
+    return typeof validator === 'function';
+}
+
 /**
  * A type guard for {@link PropertyKey}
  *
@@ -92,7 +148,8 @@ export function encodeAttribute (value: string): string {
  * Attribute names are not allowed to start with numbers either and are prefixed with 'attr-'.
  *
  * N.B.: When using custom symbols as property keys, use unique descriptions for the symbols to avoid
- * clashing attribute names.
+ * clashing attribute names. The {@link property} decorator throws an error when it detects clashing
+ * attribute names.
  *
  * ```typescript
  * const a = Symbol();
@@ -121,7 +178,6 @@ export function createAttributeName (propertyKey: PropertyKey): string {
 
     } else {
 
-        // TODO: this could create multiple identical attribute names, if symbols don't have unique description
         return `attr-${ encodeAttribute(String(propertyKey)) }`;
     }
 }
@@ -243,6 +299,118 @@ export interface PropertyDeclaration<Type extends Component = Component> {
      * Default value: `true` (uses {@link DEFAULT_PROPERTY_CHANGE_DETECTOR} internally)
      */
     observe: boolean | PropertyChangeDetector;
+
+    /**
+     * Is this property the form value of a form-associated component?
+     *
+     * @remarks
+     * Only has an effect, if the component is declared with the {@link ComponentDeclaration}'s `formAssociated`
+     * option. Whenever the property changes, its value will be submitted to the component's {@link ElementInternals}.
+     * The property will also be restored by {@link Component.formStateRestoreCallback} and reset by
+     * {@link Component.formResetCallback}. Only one property of a component should be marked as form value.
+     *
+     * Possible values:
+     * * `false`: The property is not the component's form value
+     * * `true`: The property is the component's form value, strings, files and form data are submitted as they are,
+     *   other values will be converted using the property's {@link converter}
+     * * `Function`: Use the provided function to convert the property value to a form value (`this` context will
+     *   be the component instance)
+     *
+     * ```typescript
+     * @property<MyCheckbox>({
+     *      converter: AttributeConverterBoolean,
+     *      formValue: function (value: boolean) { return value ? this.value : null; }
+     * })
+     * checked = false;
+     * ```
+     *
+     * Default value: `false`
+     */
+    formValue: boolean | FormValueMapper<Type>;
+
+    /**
+     * The type of the property
+     *
+     * @remarks
+     * Possible values:
+     * * `String`, `Number`, `Boolean`, `Date`, `Object`, `Array`: Use the built-in {@link PropertyTypeSchema} for the type
+     * * `PropertyTypeSchema`: Use a custom schema for the type
+     *
+     * If a type is set, values which are set on the property will be coerced into the type. Values which can't be
+     * coerced (e.g. `'abc'` for a `Number` property) are invalid. If no {@link converter} is set, the type's converter
+     * will be used.
+     *
+     * ```typescript
+     * @property({
+     *      type: Number,
+     *      min: 0
+     * })
+     * count = 0;
+     * ```
+     *
+     * Default value: `undefined`
+     */
+    type?: PropertyType;
+
+    /**
+     * A custom validation function for the property
+     *
+     * @remarks
+     * The validator is invoked with the (coerced) value after all other constraints are checked and its `this`
+     * context will be the component instance.
+     *
+     * Default value: `undefined`
+     */
+    validate?: PropertyValidator<Type>;
+
+    /**
+     * The minimum value of the property
+     *
+     * @remarks
+     * Numbers and dates are compared by value, strings and arrays by their length.
+     *
+     * Default value: `undefined`
+     */
+    min?: number | Date;
+
+    /**
+     * The maximum value of the property
+     *
+     * @remarks
+     * Numbers and dates are compared by value, strings and arrays by their length.
+     *
+     * Default value: `undefined`
+     */
+    max?: number | Date;
+
+    /**
+     * A list of allowed values for the property
+     *
+     * Default value: `undefined`
+     */
+    enum?: any[];
+
+    /**
+     * Is a value required for the property?
+     *
+     * @remarks
+     * If set to `true`, `null` and `undefined` are invalid values for the property. Components will report
+     * required properties without value after their first update.
+     *
+     * Default value: `false`
+     */
+    required: boolean;
+
+    /**
+     * How should invalid values be handled?
+     *
+     * @remarks
+     * Invalid values always dispatch a {@link PropertyInvalidEvent} on the component, the policy decides
+     * whether the value is set (see {@link PropertyInvalidPolicy}).
+     *
+     * Default value: `'reject'`
+     */
+    onInvalid: PropertyInvalidPolicy;
 }
 
 /**
@@ -281,4 +449,7 @@ export const DEFAULT_PROPERTY_DECLARATION: PropertyDeclaration = {
     reflectProperty: true,
     notify: true,
     observe: PropertyChangeDetectorDefault,
+    formValue: false,
+    required: false,
+    onInvalid: 'reject',
 };
@@ -0,0 +1,67 @@
+import { AttributeConverterNumber } from './attribute-converter';
+import { getPropertyTypeSchema, PropertyTypeArray, PropertyTypeBoolean, PropertyTypeDate, PropertyTypeNumber, PropertyTypeObject, PropertyTypeSchema, PropertyTypeString } from './property-type';
+
+describe('PropertyType', () => {
+
+    describe('getPropertyTypeSchema', () => {
+
+        it('should return the schema for a type', () => {
+
+            const custom: PropertyTypeSchema<number> = {
+                converter: AttributeConverterNumber,
+                coerce: (value: any) => Math.round(value),
+                check: (value: number) => !isNaN(value),
+            };
+
+            expect(getPropertyTypeSchema(String)).toBe(PropertyTypeString);
+            expect(getPropertyTypeSchema(Number)).toBe(PropertyTypeNumber);
+            expect(getPropertyTypeSchema(Boolean)).toBe(PropertyTypeBoolean);
+            expect(getPropertyTypeSchema(Date)).toBe(PropertyTypeDate);
+            expect(getPropertyTypeSchema(Object)).toBe(PropertyTypeObject);
+            expect(getPropertyTypeSchema(Array)).toBe(PropertyTypeArray);
+            expect(getPropertyTypeSchema(custom)).toBe(custom);
+        });
+    });
+
+    describe('PropertyTypeNumber', () => {
+
+        it('should coerce values', () => {
+
+            expect(PropertyTypeNumber.coerce('1.5')).toBe(1.5);
+            expect(PropertyTypeNumber.check(PropertyTypeNumber.coerce('abc'))).toBe(false);
+            expect(PropertyTypeNumber.check(PropertyTypeNumber.coerce(''))).toBe(false);
+        });
+    });
+
+    describe('PropertyTypeBoolean', () => {
+
+        it('should coerce values', () => {
+
+            expect(PropertyTypeBoolean.coerce('false')).toBe(false);
+            expect(PropertyTypeBoolean.coerce('')).toBe(false);
+            expect(PropertyTypeBoolean.coerce('true')).toBe(true);
+            expect(PropertyTypeBoolean.coerce(1)).toBe(true);
+        });
+    });
+
+    describe('PropertyTypeDate', () => {
+
+        it('should coerce values', () => {
+
+            expect(PropertyTypeDate.coerce(0).getTime()).toBe(0);
+            expect(PropertyTypeDate.check(PropertyTypeDate.coerce('foo'))).toBe(false);
+        });
+    });
+
+    describe('PropertyTypeObject and PropertyTypeArray', () => {
+
+        it('should coerce values', () => {
+
+            expect(PropertyTypeObject.coerce('{"foo":"bar"}')).toEqual({ foo: 'bar' });
+            expect(PropertyTypeObject.check(PropertyTypeObject.coerce('[1]'))).toBe(false);
+            expect(PropertyTypeArray.coerce('[1,2]')).toEqual([1, 2]);
+            expect(PropertyTypeArray.check(PropertyTypeArray.coerce('{}'))).toBe(false);
+            expect(() => PropertyTypeArray.coerce('foo')).toThrow();
+        });
+    });
+});
@@ -0,0 +1,164 @@
+import { AttributeConverter, AttributeConverterBoolean, AttributeConverterDate, AttributeConverterNumber, AttributeConverterString } from './attribute-converter.js';
+
+/**
+ * An object that describes the type of a property value
+ *
+ * @remarks
+ * A property type schema provides the {@link AttributeConverter} for a typed property and takes care of
+ * coercing values, which are set on the property, into the property's type. For the most common types,
+ * a schema exists which will be used when the type's constructor is referenced in the {@link PropertyDeclaration}.
+ * Custom schemas can be used to describe other types:
+ *
+ * ```typescript
+ * const PropertyTypeURL: PropertyTypeSchema<URL> = {
+ *      converter: {
+ *          fromAttribute: (value) => (value === null) ? null : new URL(value, document.baseURI),
+ *          toAttribute: (value) => (value == null) ? value : value.href,
+ *      },
+ *      coerce: (value) => (value instanceof URL) ? value : new URL(value, document.baseURI),
+ *      check: (value) => value instanceof URL,
+ * };
+ *
+ * export class MyElement extends Component {
+ *
+ *      @property({
+ *          type: PropertyTypeURL
+ *      })
+ *      href = new URL('/', document.baseURI);
+ * }
+ * ```
+ */
+export interface PropertyTypeSchema<T = any> {
+    /**
+     * The attribute converter for the type
+     */
+    converter: AttributeConverter<any, T>;
+    /**
+     * Coerces a value into the type
+     *
+     * @remarks
+     * The coerce function is never invoked with `null` or `undefined`. It is allowed to throw, if a value
+     * can't be coerced, which will mark the value as invalid.
+     */
+    coerce: (value: any) => T;
+    /**
+     * Checks if a coerced value is a valid value of the type (e.g. `NaN` is not a valid number)
+     */
+    check: (value: T) => boolean;
+}
+
+/**
+ * A type constructor which is supported as property type
+ */
+export type PropertyTypeConstructor =
+    StringConstructor
+    | NumberConstructor
+    | BooleanConstructor
+    | DateConstructor
+    | ObjectConstructor
+    | ArrayConstructor;
+
+/**
+ * A property type, as used in the {@link PropertyDeclaration}'s `type` option
+ */
+export type PropertyType = PropertyTypeConstructor | PropertyTypeSchema;
+
+/**
+ * Parses JSON strings and leaves other values untouched
+ *
+ * @internal
+ */
+const parseJSON = (value: any) => (typeof value === 'string') ? JSON.parse(value) : value;
+
+/**
+ * An attribute converter for JSON types, which passes attribute values through to the type's `coerce` function
+ *
+ * @remarks
+ * Unlike {@link AttributeConverterObject} and {@link AttributeConverterArray}, this converter doesn't parse the
+ * attribute value. Malformed JSON will be rejected by the type's `coerce` function during the property's validation
+ * and dispatch a {@link PropertyInvalidEvent}, instead of throwing an error when the attribute changes.
+ *
+ * @internal
+ */
+const AttributeConverterJSON: AttributeConverter<any, any> = {
+    // empty strings are considered null, like in the JSON attribute converters
+    fromAttribute: (value: string | null) => (value === '') ? null : value,
+    // pass through null or undefined using `value == null`
+    toAttribute: (value: any) => (value == null) ? value : JSON.stringify(value)
+};
+
+export const PropertyTypeString: PropertyTypeSchema<string> = {
+    converter: AttributeConverterString,
+    coerce: (value: any) => String(value),
+    check: (value: string) => typeof value === 'string',
+};
+
+export const PropertyTypeNumber: PropertyTypeSchema<number> = {
+    converter: AttributeConverterNumber,
+    // `Number('')` returns `0` - we consider empty strings invalid numbers
+    coerce: (value: any) => (value === '') ? NaN : Number(value),
+    check: (value: number) => typeof value === 'number' && !isNaN(value),
+};
+
+export const PropertyTypeBoolean: PropertyTypeSchema<boolean> = {
+    converter: AttributeConverterBoolean,
+    // the string 'false' is truthy, but we want it to be `false`
+    coerce: (value: any) => (value === 'false') ? false : Boolean(value),
+    check: (value: boolean) => typeof value === 'boolean',
+};
+
+export const PropertyTypeDate: PropertyTypeSchema<Date> = {
+    converter: AttributeConverterDate,
+    coerce: (value: any) => (value instanceof Date) ? value : new Date(value),
+    // `new Date()` will return an `Invalid Date` for invalid values
+    check: (value: Date) => value instanceof Date && !isNaN(value.getTime()),
+};
+
+export const PropertyTypeObject: PropertyTypeSchema<object> = {
+    converter: AttributeConverterJSON,
+    coerce: parseJSON,
+    check: (value: object) => typeof value === 'object' && value !== null && !Array.isArray(value),
+};
+
+export const PropertyTypeArray: PropertyTypeSchema<any[]> = {
+    converter: AttributeConverterJSON,
+    coerce: parseJSON,
+    check: (value: any[]) => Array.isArray(value),
+};
+
+/**
+ * @internal
+ */
+const PROPERTY_TYPE_SCHEMAS = new Map<PropertyTypeConstructor, PropertyTypeSchema>([
+    [String, PropertyTypeString],
+    [Number, PropertyTypeNumber],
+    [Boolean, PropertyTypeBoolean],
+    [Date, PropertyTypeDate],
+    [Object, PropertyTypeObject],
+    [Array, PropertyTypeArray],
+]);
+
+/**
+ * A type guard for {@link PropertyTypeSchema}
+ *
+ * @param type A property type to test
+ */
+export function isPropertyTypeSchema (type: any): type is PropertyTypeSchema {
+
+    return typeof type === 'object' && type !== null
+        && typeof type.coerce === 'function'
+        && typeof type.check === 'function';
+}
+
+/**
+ * Get the {@link PropertyTypeSchema} for a property type
+ *
+ * @param type  A type constructor or schema
+ * @returns     The schema for the type or `undefined` if the type is not supported
+ */
+export function getPropertyTypeSchema (type: PropertyType): PropertyTypeSchema | undefined {
+
+    return isPropertyTypeSchema(type)
+        ? type
+        : PROPERTY_TYPE_SCHEMAS.get(type);
+}
@@ -1,5 +1,6 @@
 import { Changes, Component } from '../component';
-import { AttributeConverter } from './attribute-converter';
+import { PropertyInvalidEvent, PropertyInvalidEventDetail } from '../events';
+import { AttributeConverter, AttributeConverterDefault, AttributeConverterNumber } from './attribute-converter';
 import { component } from './component';
 import { property } from './property';
 
@@ -180,6 +181,149 @@ describe('@property decorator', () => {
             // 'selected' should be replaced by 'extended=selected', 'checked' and 'active' should be gone
             expect([...ExtendedTestElement.attributes.keys()]).toEqual(['hidden', 'extended-selected']);
         });
+
+        it('should throw for duplicate attribute names', () => {
+
+            // symbols without description create identical attribute names
+            const first = Symbol();
+            const second = Symbol();
+
+            expect(() => {
+
+                class TestElement extends Component {
+
+                    @property()
+                    [first] = 'foo';
+
+                    @property()
+                    [second] = 'bar';
+                }
+
+            }).toThrowError(/Attribute attr-symbol of property Symbol\(\) is already used/);
+        });
+    });
+
+    describe('@property decorator: type and validation', () => {
+
+        @component({
+            selector: 'test-element-property-validation'
+        })
+        class TestElement extends Component {
+
+            @property({ type: Number, min: 0, max: 10 })
+            count = 1;
+
+            @property({ type: Number, min: 0, max: 10, onInvalid: 'clamp' })
+            clamped = 1;
+
+            @property({ type: String, enum: ['small', 'large'] })
+            size = 'small';
+
+            @property({ type: Date })
+            date = new Date(0);
+
+            @property<TestElement>({ validate: (value: string) => value.startsWith('#') || 'Color must start with #.' })
+            color = '#fff';
+
+            @property({ type: Boolean, required: true })
+            active: boolean | undefined;
+
+            @property({ type: Object })
+            data = { foo: 'bar' };
+        }
+
+        let testElement: TestElement;
+        let invalidEvents: PropertyInvalidEventDetail[];
+
+        beforeEach(() => {
+
+            testElement = document.createElement(TestElement.selector) as TestElement;
+            invalidEvents = [];
+
+            testElement.addEventListener(PropertyInvalidEvent.type, (event: Event) => invalidEvents.push((event as PropertyInvalidEvent).detail));
+        });
+
+        it('should use the type\'s converter', () => {
+
+            expect(TestElement.properties.get('count')!.converter).toBe(AttributeConverterNumber);
+            expect(TestElement.properties.get('color')!.converter).toBe(AttributeConverterDefault);
+        });
+
+        it('should coerce values', () => {
+
+            testElement.setAttribute('count', '5');
+            (testElement as any).date = '2020-01-01T00:00:00.000Z';
+
+            expect(testElement.count).toBe(5);
+            expect(testElement.date instanceof Date).toBe(true);
+            expect(testElement.date.toISOString()).toBe('2020-01-01T00:00:00.000Z');
+            expect(invalidEvents).toEqual([]);
+        });
+
+        it('should reject invalid values', () => {
+
+            testElement.setAttribute('count', 'abc');
+            testElement.count = 20;
+            testElement.size = 'medium';
+            testElement.color = 'red';
+
+            expect(testElement.count).toBe(1);
+            expect(testElement.size).toBe('small');
+            expect(testElement.color).toBe('#fff');
+            expect(invalidEvents.map(detail => [detail.property, detail.reason])).toEqual([
+                ['count', 'type'],
+                ['count', 'max'],
+                ['size', 'enum'],
+                ['color', 'validate'],
+            ]);
+            expect(invalidEvents[3].message).toBe('Color must start with #.');
+            expect(invalidEvents[3].current).toBe('#fff');
+        });
+
+        it('should reject malformed JSON attributes', () => {
+
+            testElement.setAttribute('data', '{bad');
+
+            expect(testElement.data).toEqual({ foo: 'bar' });
+            expect(invalidEvents.map(detail => [detail.property, detail.reason, detail.value])).toEqual([
+                ['data', 'type', '{bad'],
+            ]);
+
+            // further attribute changes are reflected
+            testElement.setAttribute('data', '{"foo":"baz"}');
+            testElement.setAttribute('count', '2');
+
+            expect(testElement.data).toEqual({ foo: 'baz' });
+            expect(testElement.count).toBe(2);
+        });
+
+        it('should clamp invalid values', () => {
+
+            testElement.clamped = -5;
+
+            expect(testElement.clamped).toBe(0);
+
+            testElement.clamped = 50;
+
+            expect(testElement.clamped).toBe(10);
+            expect(invalidEvents.map(detail => [detail.reason, detail.value, detail.current])).toEqual([
+                ['min', -5, 0],
+                ['max', 50, 10],
+            ]);
+        });
+
+        it('should report missing required properties after the first update', async () => {
+
+            document.body.appendChild(testElement);
+
+            await testElement.updateComplete;
+
+            expect(invalidEvents.length).toBe(1);
+            expect(invalidEvents[0].property).toBe('active');
+            expect(invalidEvents[0].reason).toBe('required');
+
+            document.body.removeChild(testElement);
+        });
     });
 
     describe('@property decorator', () => {
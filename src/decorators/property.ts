@@ -1,7 +1,13 @@
 import { Component } from '../component.js';
 import { createAttributeName, DEFAULT_PROPERTY_DECLARATION, PropertyDeclaration } from './property-declaration.js';
+import { getPropertyTypeSchema } from './property-type.js';
 import { getPropertyDescriptor } from './utils/get-property-descriptor.js';
 
+/**
+ * @internal
+ */
+const ATTRIBUTE_NAME_ERROR = (attribute: string, propertyKey: PropertyKey, existingKey: PropertyKey) => new Error(`Attribute ${ attribute } of property ${ String(propertyKey) } is already used by property ${ String(existingKey) }. Use unique descriptions for symbol property keys or set the attribute name explicitly.`);
+
 /**
  * A type extension to add additional properties to a {@link Component} constructor during decoration
  *
@@ -79,7 +85,10 @@ export function property<Type extends Component = Component> (options: Partial<P
             },
             set (value: any): void {
                 const oldValue = getter.call(this);
-                setter.call(this, value);
+                // coerce and validate the value, invalid values might be rejected
+                const validation = this.validateProperty(propertyKey, value);
+                if (!validation.valid) return;
+                setter.call(this, validation.value);
                 // don't pass `value` on as `newValue` - an inherited setter might modify it
                 // instead get the new value by invoking the getter
                 this.requestUpdate(propertyKey, oldValue, getter.call(this));
@@ -96,6 +105,14 @@ export function property<Type extends Component = Component> (options: Partial<P
             declaration.attribute = createAttributeName(propertyKey);
         }
 
+        // use the type's converter, unless a converter is set explicitly
+        if (declaration.type && !options.converter) {
+
+            const schema = getPropertyTypeSchema(declaration.type);
+
+            if (schema) declaration.converter = schema.converter;
+        }
+
         // set the default property change detector
         if (declaration.observe === true) {
 
@@ -118,6 +135,14 @@ export function property<Type extends Component = Component> (options: Partial<P
 
         if (declaration.attribute) {
 
+            const existingKey = constructor.attributes.get(declaration.attribute);
+
+            // property keys can create identical attribute names, e.g. symbols without description
+            if (existingKey !== undefined && existingKey !== propertyKey) {
+
+                throw ATTRIBUTE_NAME_ERROR(declaration.attribute, propertyKey, existingKey);
+            }
+
             constructor.attributes.set(declaration.attribute, propertyKey);
         }
 
@@ -0,0 +1,105 @@
+import { Component } from '../component.js';
+import { ContextKey, ProvideDeclaration } from './context-declaration.js';
+import { getPropertyDescriptor } from './utils/get-property-descriptor.js';
+
+/**
+ * Decorates a {@link Component} property as a context provider
+ *
+ * @remarks
+ * The property's value will be provided to all descendant components which consume the same
+ * context key, across shadow DOM boundaries. Consumers find the nearest provider through a
+ * {@link ContextRequestEvent}. When the property changes, subscribed consumers receive the
+ * new value.
+ *
+ * ```typescript
+ * export const THEME = Symbol('theme');
+ *
+ * @component({ selector: 'my-app' })
+ * class MyApp extends Component {
+ *
+ *      @provide(THEME)
+ *      theme = 'light';
+ * }
+ * ```
+ *
+ * @param context The context key to provide
+ */
+export function provide (context: ContextKey | null) {
+
+    return function (
+        target: Object,
+        propertyKey: PropertyKey,
+        propertyDescriptor?: PropertyDescriptor,
+    ): any {
+
+        const descriptor = propertyDescriptor || getPropertyDescriptor(target, propertyKey);
+        const hiddenKey = Symbol(`__${ propertyKey.toString() }`);
+
+        const getter = descriptor?.get || function (this: any) { return this[hiddenKey]; };
+        const setter = descriptor?.set || function (this: any, value: any) { this[hiddenKey] = value; };
+
+        const wrappedDescriptor: PropertyDescriptor & ThisType<any> = {
+            configurable: true,
+            enumerable: true,
+            get (): any {
+                return getter.call(this);
+            },
+            set (value: any): void {
+                const oldValue = getter.call(this);
+                setter.call(this, value);
+                // provided values are not necessarily decorated properties, so we can't rely on
+                // the update cycle and notify subscribed consumers as soon as the value changes
+                if (oldValue !== getter.call(this)) {
+
+                    this.notifyContext(propertyKey);
+                }
+            }
+        }
+
+        const constructor = target.constructor as typeof Component;
+
+        prepareConstructor(constructor);
+
+        if (context === null) {
+
+            constructor.providers.delete(propertyKey);
+
+        } else {
+
+            constructor.providers.set(propertyKey, { context } as ProvideDeclaration);
+        }
+
+        if (!propertyDescriptor) {
+
+            // if no propertyDescriptor was defined for this decorator, this decorator is a property
+            // decorator which must return void and we can define the wrapped descriptor here
+            Object.defineProperty(target, propertyKey, wrappedDescriptor);
+
+        } else {
+
+            // if a propertyDescriptor was defined for this decorator, this decorator is an accessor
+            // decorator and we must return the wrapped property descriptor
+            return wrappedDescriptor;
+        }
+    }
+}
+
+/**
+ * Prepares the component constructor by initializing static properties for the provide decorator,
+ * so we don't modify a base class's static properties.
+ *
+ * @remarks
+ * When the provide decorator stores provide declarations in the constructor, we have to make sure the
+ * static providers field is initialized on the current constructor. Otherwise we add provide declarations
+ * to the base class's static field. We also make sure to initialize the providers map with the values of
+ * the base class's map to properly inherit all provide declarations.
+ *
+ * @param constructor The component constructor to prepare
+ *
+ * @internal
+ * @private
+ */
+function prepareConstructor (constructor: typeof Component) {
+
+    if (!constructor.hasOwnProperty('providers')) constructor.providers = new Map(constructor.providers);
+}
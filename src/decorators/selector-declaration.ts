@@ -25,9 +25,39 @@ export interface SelectorDeclaration<Type extends Component = Component> {
      * Default value: `false`
      */
     all?: boolean;
+
+    /**
+     * Keep the selector up-to-date with changes of the query root
+     *
+     * @remarks
+     * By default, selectors are queried during each update of the component. Changes of light DOM children or
+     * other DOM outside of the component's template don't update the selector. A live selector observes its query
+     * root with a {@link MutationObserver} and re-queries the selector whenever nodes are added to or removed from
+     * the root's subtree, or attributes change which are used in the query's attribute, class or id selectors, or
+     * which back the query's pseudo-classes (`:checked`, `:disabled`, `:enabled`, `:required`, `:optional`,
+     * `:read-only`, `:read-write`, `:placeholder-shown`, `:default` and `:open`). When the result changes, the
+     * component requests an update and dispatches a {@link PropertyChangeEvent}.
+     *
+     * A MutationObserver can only observe the DOM, not the state of elements: changes which don't mutate an
+     * attribute (e.g. a user checking a checkbox or typing into an input, or setting the `checked` or `value`
+     * property of an input) and pseudo-classes which aren't backed by attributes (e.g. `:hover`, `:focus` or
+     * `:invalid`) don't update a live selector.
+     *
+     * ```typescript
+     * class MyTabList extends Component {
+     *
+     *      @selector<MyTabList>({ query: 'my-tab', all: true, live: true, root: function () { return this; } })
+     *      tabs!: NodeListOf<MyTab>;
+     * }
+     * ```
+     *
+     * Default value: `false`
+     */
+    live?: boolean;
 }
 
 export const DEFAULT_SELECTOR_DECLARATION: SelectorDeclaration = {
     query: null,
     all: false,
+    live: false,
 };
@@ -102,4 +102,118 @@ describe('@selector decorator', () => {
 
         document.body.appendChild(testElement);
     });
+
+    it('keeps live selectors up-to-date with light DOM changes', async () => {
+
+        @component({
+            selector: 'test-element-live-selectors',
+            template: () => html`<slot></slot>`,
+        })
+        class TestElement extends Component {
+
+            @selector<TestElement>({ query: 'li', all: true, live: true, root: function () { return this; } })
+            items!: NodeListOf<HTMLLIElement>;
+        }
+
+        const testElement = document.createElement(TestElement.selector) as TestElement;
+        const changes: number[] = [];
+
+        testElement.appendChild(document.createElement('li'));
+
+        testElement.addEventListener('items-changed', (event: Event) => changes.push((event as CustomEvent).detail.current.length));
+
+        document.body.appendChild(testElement);
+
+        await testElement.updateComplete;
+
+        expect(testElement.items.length).toBe(1);
+
+        testElement.appendChild(document.createElement('li'));
+
+        // mutation observers are notified in a micro-task
+        await Promise.resolve();
+
+        expect(testElement.items.length).toBe(2);
+        expect(changes).toEqual([1, 2]);
+
+        document.body.removeChild(testElement);
+
+        testElement.appendChild(document.createElement('li'));
+
+        await Promise.resolve();
+
+        // the observer is disconnected
+        expect(testElement.items).toBeUndefined();
+        expect(changes).toEqual([1, 2]);
+    });
+
+    it('observes attributes used in live selector queries', async () => {
+
+        @component({
+            selector: 'test-element-live-selectors-attributes',
+            template: () => html`<slot></slot>`,
+        })
+        class TestElement extends Component {
+
+            @selector<TestElement>({ query: 'li.active', live: true, root: function () { return this; } })
+            active!: HTMLLIElement | null;
+        }
+
+        const testElement = document.createElement(TestElement.selector) as TestElement;
+        const item = testElement.appendChild(document.createElement('li'));
+
+        document.body.appendChild(testElement);
+
+        await testElement.updateComplete;
+
+        expect(testElement.active).toBeNull();
+
+        item.classList.add('active');
+
+        await Promise.resolve();
+
+        expect(testElement.active).toBe(item);
+
+        document.body.removeChild(testElement);
+    });
+
+    it('observes attributes backing pseudo-classes in live selector queries', async () => {
+
+        @component({
+            selector: 'test-element-live-selectors-pseudo-classes',
+            template: () => html`<slot></slot>`,
+        })
+        class TestElement extends Component {
+
+            @selector<TestElement>({ query: 'input:disabled', all: true, live: true, root: function () { return this; } })
+            disabled!: NodeListOf<HTMLInputElement>;
+
+            @selector<TestElement>({ query: 'option:checked', live: true, root: function () { return this; } })
+            selected!: HTMLOptionElement | null;
+        }
+
+        const testElement = document.createElement(TestElement.selector) as TestElement;
+        const input = testElement.appendChild(document.createElement('input'));
+        const select = testElement.appendChild(document.createElement('select'));
+        const first = select.appendChild(document.createElement('option'));
+        const second = select.appendChild(document.createElement('option'));
+
+        document.body.appendChild(testElement);
+
+        await testElement.updateComplete;
+
+        expect(testElement.disabled.length).toBe(0);
+        expect(testElement.selected).toBe(first);
+
+        input.setAttribute('disabled', '');
+        second.setAttribute('selected', '');
+
+        await Promise.resolve();
+
+        expect(testElement.disabled.length).toBe(1);
+        expect(testElement.disabled[0]).toBe(input);
+        expect(testElement.selected).toBe(second);
+
+        document.body.removeChild(testElement);
+    });
 });
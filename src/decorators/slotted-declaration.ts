@@ -0,0 +1,35 @@
+/**
+ * A {@link Component} slotted declaration
+ */
+export interface SlottedDeclaration {
+    /**
+     * The name of the slot
+     *
+     * @remarks
+     * If no name is provided, the component's default slot (the slot without name) will be used.
+     *
+     * Default value: `undefined`
+     */
+    slot?: string;
+
+    /**
+     * A CSS selector to filter the assigned elements
+     *
+     * Default value: `undefined`
+     */
+    selector?: string;
+
+    /**
+     * Include the assigned elements of nested slots?
+     *
+     * @remarks
+     * See https://developer.mozilla.org/en-US/docs/Web/API/HTMLSlotElement/assignedElements
+     *
+     * Default value: `false`
+     */
+    flatten?: boolean;
+}
+
+export const DEFAULT_SLOTTED_DECLARATION: SlottedDeclaration = {
+    flatten: false,
+};
@@ -0,0 +1,89 @@
+import { html } from 'lit-html';
+import { Component } from '../component';
+import { component } from './component';
+import { slotted } from './slotted';
+
+describe('@slotted decorator', () => {
+
+    @component({
+        selector: 'test-element-slotted',
+        template: () => html`<slot name="header"></slot><slot></slot>`,
+    })
+    class TestElement extends Component {
+
+        @slotted({ slot: 'header' })
+        header: Element[] = [];
+
+        @slotted({ selector: 'li' })
+        items: Element[] = [];
+    }
+
+    let testElement: TestElement;
+
+    beforeEach(() => {
+
+        testElement = document.createElement(TestElement.selector) as TestElement;
+
+        testElement.innerHTML = '<h1 slot="header">Header</h1><li>One</li><p>Paragraph</p>';
+    });
+
+    afterEach(() => {
+
+        if (testElement.isConnected) document.body.removeChild(testElement);
+    });
+
+    it('stores the declarations in the constructor', () => {
+
+        expect(TestElement.slotted.get('header')).toEqual({ slot: 'header', flatten: false });
+        expect(TestElement.slotted.get('items')).toEqual({ selector: 'li', flatten: false });
+    });
+
+    it('tracks assigned elements', async () => {
+
+        const changes: number[] = [];
+
+        testElement.addEventListener('items-changed', (event: Event) => changes.push((event as CustomEvent).detail.current.length));
+
+        document.body.appendChild(testElement);
+
+        await testElement.updateComplete;
+
+        expect(testElement.header.map(element => element.tagName)).toEqual(['H1']);
+        expect(testElement.items.map(element => element.textContent)).toEqual(['One']);
+
+        testElement.appendChild(document.createElement('li')).textContent = 'Two';
+
+        // wait for the slotchange event
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(testElement.items.map(element => element.textContent)).toEqual(['One', 'Two']);
+        expect(changes).toEqual([1, 2]);
+    });
+
+    it('resets assigned elements when disconnected', async () => {
+
+        const changes: number[] = [];
+
+        testElement.addEventListener('items-changed', (event: Event) => changes.push((event as CustomEvent).detail.current.length));
+
+        document.body.appendChild(testElement);
+
+        await testElement.updateComplete;
+
+        document.body.removeChild(testElement);
+
+        expect(testElement.items).toEqual([]);
+        expect(changes).toEqual([1, 0]);
+
+        testElement.innerHTML = '';
+
+        document.body.appendChild(testElement);
+
+        await testElement.updateComplete;
+
+        document.body.removeChild(testElement);
+
+        // empty selections are not replaced
+        expect(changes).toEqual([1, 0]);
+    });
+});
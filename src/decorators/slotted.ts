@@ -0,0 +1,93 @@
+import { Component } from '../component.js';
+import { DEFAULT_SLOTTED_DECLARATION, SlottedDeclaration } from './slotted-declaration.js';
+import { getPropertyDescriptor } from './utils/get-property-descriptor.js';
+import { microTask } from '../tasks.js';
+
+/**
+ * Decorates a {@link Component} property as the list of elements assigned to a slot
+ *
+ * @remarks
+ * The property is updated with the slot's assigned elements after each update and whenever the slot's
+ * `slotchange` event is dispatched. When the assigned elements change, the component requests an update
+ * and dispatches a {@link PropertyChangeEvent}. Slots only exist in components which use Shadow DOM.
+ *
+ * ```typescript
+ * @component({
+ *      selector: 'my-accordion',
+ *      template: () => html`<slot></slot>`,
+ * })
+ * class MyAccordion extends Component {
+ *
+ *      @slotted({ selector: 'my-accordion-panel' })
+ *      panels: MyAccordionPanel[] = [];
+ * }
+ * ```
+ *
+ * @param options The slotted declaration
+ */
+export function slotted (options: SlottedDeclaration = {}) {
+
+    return function (
+        target: Object,
+        propertyKey: PropertyKey,
+        propertyDescriptor?: PropertyDescriptor,
+    ): any {
+
+        const descriptor = propertyDescriptor || getPropertyDescriptor(target, propertyKey);
+        const hiddenKey = Symbol(`__${ propertyKey.toString() }`);
+
+        const getter = descriptor?.get || function (this: any) { return this[hiddenKey]; };
+        const setter = descriptor?.set || function (this: any, value: any) { this[hiddenKey] = value; };
+
+        const wrappedDescriptor: PropertyDescriptor = {
+            configurable: true,
+            enumerable: true,
+            get (this: Component): any {
+                return getter.call(this);
+            },
+            set (this: Component, value: any): void {
+                const oldValue = getter.call(this);
+                setter.call(this, value);
+                // slotted elements are updated during the update cycle, like selectors, so
+                // we need to schedule an update just after this update is over
+                if (oldValue !== getter.call(this)) {
+
+                    microTask(() => this.requestUpdate());
+                }
+            }
+        };
+
+        const constructor = target.constructor as typeof Component;
+
+        prepareConstructor(constructor);
+
+        constructor.slotted.set(propertyKey, { ...DEFAULT_SLOTTED_DECLARATION, ...options });
+
+        if (!propertyDescriptor) {
+
+            // if no propertyDescriptor was defined for this decorator, this decorator is a property
+            // decorator which must return void and we can define the wrapped descriptor here
+            Object.defineProperty(target, propertyKey, wrappedDescriptor);
+
+        } else {
+
+            // if a propertyDescriptor was defined for this decorator, this decorator is an accessor
+            // decorator and we must return the wrapped property descriptor
+            return wrappedDescriptor;
+        }
+    };
+}
+
+/**
+ * Prepares the component constructor by initializing static properties for the slotted decorator,
+ * so we don't modify a base class's static properties.
+ *
+ * @param constructor The component constructor to prepare
+ *
+ * @internal
+ * @private
+ */
+function prepareConstructor (constructor: typeof Component) {
+
+    if (!constructor.hasOwnProperty('slotted')) constructor.slotted = new Map(constructor.slotted);
+}
@@ -0,0 +1,15 @@
+/**
+ * A {@link Component} task declaration
+ */
+export interface TaskDeclaration {
+    /**
+     * The property keys of the task's dependencies
+     *
+     * @remarks
+     * The task will run after each update in which any of its dependencies changed. A task without
+     * dependencies has to be run manually using its {@link ComponentTask.run} method.
+     *
+     * Setting deps to `null` allows to unbind an inherited task.
+     */
+    deps: PropertyKey[] | null;
+}
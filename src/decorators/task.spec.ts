@@ -0,0 +1,121 @@
+import { html } from 'lit-html';
+import { Component } from '../component';
+import { renderTask } from '../component-task';
+import { component } from './component';
+import { property } from './property';
+import { task } from './task';
+
+describe('@task decorator', () => {
+
+    const responses = new Map<string, (user: string) => void>();
+
+    @component<TestElement>({
+        selector: 'test-element-task',
+        template: (element) => html`${ renderTask(element.getTask<string>('loadUser'), {
+            initial: () => 'initial',
+            pending: () => 'pending',
+            complete: (user) => `complete: ${ user }`,
+            error: (error) => `error: ${ (error as Error).message }`,
+        }) }`
+    })
+    class TestElement extends Component {
+
+        @property()
+        userId = 'one';
+
+        signals: AbortSignal[] = [];
+
+        @task({ deps: ['userId'] })
+        loadUser (signal: AbortSignal): Promise<string> {
+
+            this.signals.push(signal);
+
+            const userId = this.userId;
+
+            return userId === 'error'
+                ? Promise.reject(new Error('Not found'))
+                : new Promise(resolve => responses.set(userId, resolve));
+        }
+    }
+
+    let testElement: TestElement;
+
+    beforeEach(async () => {
+
+        responses.clear();
+
+        testElement = document.createElement(TestElement.selector) as TestElement;
+
+        document.body.appendChild(testElement);
+
+        await testElement.updateComplete;
+    });
+
+    afterEach(() => {
+
+        if (testElement.isConnected) document.body.removeChild(testElement);
+    });
+
+    it('stores the declaration in the constructor', () => {
+
+        expect(TestElement.tasks.get('loadUser')).toEqual({ deps: ['userId'] });
+    });
+
+    it('runs the task when a dependency changed and renders its status', async () => {
+
+        const loadUser = testElement.getTask<string>('loadUser')!;
+
+        expect(loadUser.status).toBe('pending');
+        expect(testElement.renderRoot.textContent).toBe('pending');
+
+        // the task callback is invoked after the update
+        await Promise.resolve();
+
+        responses.get('one')!('User One');
+
+        await new Promise(resolve => setTimeout(resolve, 0));
+        await testElement.updateComplete;
+
+        expect(loadUser.status).toBe('complete');
+        expect(loadUser.value).toBe('User One');
+        expect(testElement.renderRoot.textContent).toBe('complete: User One');
+    });
+
+    it('cancels the previous run', async () => {
+
+        const loadUser = testElement.getTask<string>('loadUser')!;
+
+        await Promise.resolve();
+
+        testElement.userId = 'two';
+
+        await testElement.updateComplete;
+        await Promise.resolve();
+
+        expect(testElement.signals.length).toBe(2);
+        expect(testElement.signals[0].aborted).toBe(true);
+
+        // a stale response doesn't overwrite the result
+        responses.get('one')!('User One');
+        responses.get('two')!('User Two');
+
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(loadUser.value).toBe('User Two');
+    });
+
+    it('stores errors', async () => {
+
+        const loadUser = testElement.getTask<string>('loadUser')!;
+
+        testElement.userId = 'error';
+
+        await testElement.updateComplete;
+        await new Promise(resolve => setTimeout(resolve, 0));
+        await testElement.updateComplete;
+
+        expect(loadUser.status).toBe('error');
+        expect((loadUser.error as Error).message).toBe('Not found');
+        expect(testElement.renderRoot.textContent).toBe('error: Not found');
+    });
+});
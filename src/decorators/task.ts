@@ -0,0 +1,61 @@
+import { Component } from '../component.js';
+import { TaskDeclaration } from './task-declaration.js';
+
+/**
+ * Decorates a {@link Component} method as a task
+ *
+ * @remarks
+ * The component creates a {@link ComponentTask} for each decorated method, which runs the method whenever
+ * one of the task's dependencies changed. The method receives an {@link AbortSignal}, which is aborted when
+ * the run is canceled. The task can be obtained by the component's {@link Component.getTask} method.
+ *
+ * ```typescript
+ * class UserCard extends Component {
+ *
+ *      @property()
+ *      userId = '';
+ *
+ *      @task({ deps: ['userId'] })
+ *      async loadUser (signal: AbortSignal): Promise<User> {
+ *
+ *          const response = await fetch(`/api/users/${ this.userId }`, { signal });
+ *
+ *          return response.json();
+ *      }
+ * }
+ * ```
+ *
+ * @param options The task declaration
+ */
+export function task (options: TaskDeclaration) {
+
+    return function (target: Object, propertyKey: PropertyKey, descriptor: PropertyDescriptor) {
+
+        const constructor = target.constructor as typeof Component;
+
+        prepareConstructor(constructor);
+
+        if (options.deps === null) {
+
+            constructor.tasks.delete(propertyKey);
+
+        } else {
+
+            constructor.tasks.set(propertyKey, { ...options });
+        }
+    };
+}
+
+/**
+ * Prepares the component constructor by initializing static properties for the task decorator,
+ * so we don't modify a base class's static properties.
+ *
+ * @param constructor The component constructor to prepare
+ *
+ * @internal
+ * @private
+ */
+function prepareConstructor (constructor: typeof Component) {
+
+    if (!constructor.hasOwnProperty('tasks')) constructor.tasks = new Map(constructor.tasks);
+}
@@ -1,5 +1,5 @@
 import { Component } from './component.js';
-import { createEventName } from './decorators/index.js';
+import { ContextKey, createEventName, PropertyInvalidPolicy, PropertyInvalidReason } from './decorators/index.js';
 
 /**
  * The default EventInit object
@@ -74,6 +74,41 @@ export class PropertyChangeEvent<T = any, C extends Component = Component> exten
     }
 }
 
+/**
+ * A type for property invalid event details, as used by {@link PropertyInvalidEvent}
+ */
+export interface PropertyInvalidEventDetail<T = any, C extends Component = Component> extends ComponentEventDetail<C> {
+    property: string;
+    /**
+     * The invalid value which was set on the property
+     */
+    value: any;
+    /**
+     * The value of the property after the {@link PropertyInvalidPolicy} was applied
+     */
+    current: T;
+    reason: PropertyInvalidReason;
+    message: string;
+    policy: PropertyInvalidPolicy;
+}
+
+/**
+ * The PropertyInvalidEvent class
+ *
+ * @remarks
+ * A custom event, as dispatched by the {@link Component.validateProperty} method, when an invalid value
+ * is set on a property or a required property has no value.
+ */
+export class PropertyInvalidEvent<T = any, C extends Component = Component> extends ComponentEvent<PropertyInvalidEventDetail<T, C>, C> {
+
+    static readonly type = 'property-invalid';
+
+    constructor (detail: PropertyInvalidEventDetail<T, C>, init?: EventInit) {
+
+        super(PropertyInvalidEvent.type, detail, init);
+    }
+}
+
 /**
  * The LifecycleEvent class
  *
@@ -88,3 +123,40 @@ export class LifecycleEvent<T = any, C extends Component = Component> extends Co
         super(lifecycle, detail, init);
     }
 }
+
+/**
+ * A callback which receives a context value, as used by {@link ContextRequestEvent}
+ *
+ * @remarks
+ * Providers invoke the callback with the provided value. For subscribing requests, the provider also
+ * passes an `unsubscribe` function when it answers the request and invokes the callback again with
+ * every new value.
+ */
+export type ContextCallback<T = any> = (value: T, unsubscribe?: () => void) => void;
+
+/**
+ * A type for context request event details, as used by {@link ContextRequestEvent}
+ */
+export interface ContextRequestEventDetail<T = any, C extends Component = Component> extends ComponentEventDetail<C> {
+    context: ContextKey;
+    subscribe: boolean;
+    callback: ContextCallback<T>;
+}
+
+/**
+ * The ContextRequestEvent class
+ *
+ * @remarks
+ * A custom event, as dispatched by components with {@link consume}d properties. The event bubbles and is
+ * composed, so the nearest providing ancestor can be found across shadow DOM boundaries. A provider which
+ * answers the request stops the event's propagation.
+ */
+export class ContextRequestEvent<T = any, C extends Component = Component> extends ComponentEvent<ContextRequestEventDetail<T, C>, C> {
+
+    static readonly type = 'context-request';
+
+    constructor (detail: ContextRequestEventDetail<T, C>, init?: EventInit) {
+
+        super(ContextRequestEvent.type, detail, init);
+    }
+}
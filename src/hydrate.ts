@@ -0,0 +1,368 @@
+import { isDirective, isIterable, isPrimitive, isTemplatePartActive, NodePart, Part, RenderOptions, Template, TemplateInstance, TemplateProcessor, TemplateResult } from 'lit-html';
+
+/**
+ * The data of the comment which marks the start of a server-rendered part
+ *
+ * @remarks
+ * {@link renderToString} wraps the content of each part in node position (and of each item of an iterable
+ * value) in a pair of marker comments: `<!--lit-part-->content<!--/lit-part-->`. The markers delimit the
+ * part's content in the server-rendered DOM and become the start and end nodes of the hydrated {@link NodePart}.
+ *
+ * @internal
+ */
+export const PART_START_MARKER = 'lit-part';
+
+/**
+ * The data of the comment which marks the end of a server-rendered part
+ *
+ * @internal
+ */
+export const PART_END_MARKER = '/lit-part';
+
+/**
+ * A server-rendered part, consisting of its start and end marker comments
+ *
+ * @internal
+ */
+type ServerPart = [Comment, Comment];
+
+/**
+ * A node or part of the server-rendered DOM, in the order it's matched against the template
+ *
+ * @internal
+ */
+type ServerItem = Node | ServerPart;
+
+/**
+ * A {@link TemplateInstance} which was hydrated from server-rendered DOM
+ *
+ * @remarks
+ * lit-html's template instance creates its parts when it clones its template. A hydrated instance never clones
+ * its template, its parts are bound to the server-rendered DOM instead. lit-html's {@link NodePart} checks if
+ * its value is a `TemplateInstance` of the same template, so a hydrated instance is updated like any other.
+ *
+ * @internal
+ */
+class HydratedTemplateInstance extends TemplateInstance {
+
+    constructor (
+        template: Template,
+        processor: TemplateProcessor,
+        options: RenderOptions,
+        protected hydratedParts: (Part | undefined)[],
+    ) {
+
+        super(template, processor, options);
+    }
+
+    update (values: ReadonlyArray<unknown>) {
+
+        this.hydratedParts.forEach((part, index) => part?.setValue(values[index]));
+
+        this.hydratedParts.forEach(part => part?.commit());
+    }
+}
+
+/**
+ * @internal
+ */
+const isMarker = (node: Node | null, marker: string): node is Comment => {
+
+    return node?.nodeType === Node.COMMENT_NODE && (node as Comment).data === marker;
+};
+
+/**
+ * Find the end marker of a server-rendered part
+ *
+ * @remarks
+ * The content of a part can contain nested parts, so we keep track of the nesting depth.
+ *
+ * @internal
+ */
+const findPartEnd = (start: Comment): Comment | undefined => {
+
+    let depth = 0;
+    let node = start.nextSibling;
+
+    while (node) {
+
+        if (isMarker(node, PART_START_MARKER)) {
+
+            depth++;
+
+        } else if (isMarker(node, PART_END_MARKER)) {
+
+            if (depth === 0) return node;
+
+            depth--;
+        }
+
+        node = node.nextSibling;
+    }
+
+    return undefined;
+};
+
+/**
+ * Collect the nodes of a template's content in the order lit-html indexes them
+ *
+ * @remarks
+ * lit-html walks the template's content with a TreeWalker which shows elements, comments and text nodes,
+ * and walks into the content of nested `<template>` elements.
+ *
+ * @internal
+ */
+const collectTemplateNodes = (node: Node | null, nodes: Node[] = []): Node[] => {
+
+    while (node) {
+
+        if (node.nodeType === Node.ELEMENT_NODE || node.nodeType === Node.TEXT_NODE || node.nodeType === Node.COMMENT_NODE) {
+
+            nodes.push(node);
+        }
+
+        collectTemplateNodes((node instanceof HTMLTemplateElement) ? node.content.firstChild : node.firstChild, nodes);
+
+        node = node.nextSibling;
+    }
+
+    return nodes;
+};
+
+/**
+ * Collect the nodes of a server-rendered template in the same order as {@link collectTemplateNodes}
+ *
+ * @remarks
+ * Server-rendered parts are collected as a whole, without their content.
+ *
+ * @returns The collected items or `undefined` if the part markers are unbalanced
+ *
+ * @internal
+ */
+const collectServerItems = (node: Node | null, end: Node | null, items: ServerItem[] = []): ServerItem[] | undefined => {
+
+    while (node && node !== end) {
+
+        if (isMarker(node, PART_START_MARKER)) {
+
+            const partEnd = findPartEnd(node);
+
+            if (!partEnd) return undefined;
+
+            items.push([node, partEnd]);
+
+            node = partEnd.nextSibling;
+
+            continue;
+        }
+
+        if (isMarker(node, PART_END_MARKER)) return undefined;
+
+        if (node.nodeType === Node.ELEMENT_NODE || node.nodeType === Node.TEXT_NODE || node.nodeType === Node.COMMENT_NODE) {
+
+            items.push(node);
+        }
+
+        const children = (node instanceof HTMLTemplateElement) ? node.content.firstChild : node.firstChild;
+
+        if (!collectServerItems(children, null, items)) return undefined;
+
+        node = node.nextSibling;
+    }
+
+    return items;
+};
+
+/**
+ * Find the first server-rendered part in a container
+ *
+ * @param container The container to search, e.g. a declarative shadow root
+ * @returns         The start and end marker of the part or `undefined` if the container has no server-rendered part
+ *
+ * @internal
+ */
+export function findServerPart (container: Node): ServerPart | undefined {
+
+    const start = Array.from(container.childNodes).find(node => isMarker(node, PART_START_MARKER)) as Comment | undefined;
+
+    const end = start && findPartEnd(start);
+
+    return start && end && [start, end];
+}
+
+/**
+ * Hydrate a {@link NodePart} from its server-rendered content
+ *
+ * @remarks
+ * The part's `startNode` and `endNode` have to be the server-rendered part's marker comments. Hydration sets up
+ * the part's value and the parts of nested templates against the existing DOM, so that the part's first commit
+ * doesn't replace the server-rendered DOM. Attribute, property and event bindings are committed with the first
+ * commit. If a part's server-rendered content doesn't match its value, or the value can't be hydrated (e.g.
+ * directives or nodes), the part is not hydrated: its first commit replaces its server-rendered content, like
+ * lit-html does for any part whose value changed. Hydration itself has no side effects on the DOM.
+ *
+ * @param part  The part to hydrate
+ * @param value The value which will be committed to the part
+ *
+ * @internal
+ */
+export function hydrate (part: NodePart, value: unknown) {
+
+    // directives render their content in the part's first commit, the server didn't render them
+    if (isDirective(value)) return;
+
+    if (isPrimitive(value)) {
+
+        const text = (value == null) ? '' : String(value);
+        const content = part.startNode.nextSibling!;
+
+        const isEqual = (content === part.endNode)
+            ? text === ''
+            : content.nextSibling === part.endNode && content.nodeType === Node.TEXT_NODE && (content as Text).data === text;
+
+        if (isEqual) part.value = value;
+
+    } else if (value instanceof TemplateResult) {
+
+        hydrateTemplateResult(part, value);
+
+    } else if (isIterable(value)) {
+
+        hydrateIterable(part, value);
+    }
+}
+
+/**
+ * Hydrate a {@link NodePart} with an iterable value
+ *
+ * @remarks
+ * lit-html renders each item of an iterable into its own part and stores the item parts as the part's value.
+ * Each server-rendered item part is hydrated with the corresponding item. If there are more items than server-
+ * rendered item parts, lit-html will add the missing item parts in the first commit, surplus server-rendered item
+ * parts will be removed.
+ *
+ * @internal
+ */
+function hydrateIterable (part: NodePart, value: Iterable<unknown>) {
+
+    const items = Array.from(value);
+    const itemParts: NodePart[] = [];
+
+    let node = part.startNode.nextSibling;
+
+    while (node !== part.endNode) {
+
+        const end = isMarker(node, PART_START_MARKER) && findPartEnd(node);
+
+        if (!end) return;
+
+        const itemPart = new NodePart(part.options);
+
+        itemPart.startNode = node!;
+        itemPart.endNode = end;
+
+        if (itemParts.length < items.length) hydrate(itemPart, items[itemParts.length]);
+
+        itemParts.push(itemPart);
+
+        node = end.nextSibling;
+    }
+
+    part.value = itemParts;
+}
+
+/**
+ * Hydrate a {@link NodePart} with a {@link TemplateResult} value
+ *
+ * @remarks
+ * The nodes of the template's content are matched against the server-rendered nodes in document order. lit-html
+ * inserts empty marker comments into the template's content for node parts, those are replaced by the server's
+ * part markers. Any other node of the template has to match the server-rendered node in type and name.
+ *
+ * @internal
+ */
+function hydrateTemplateResult (part: NodePart, result: TemplateResult) {
+
+    const template = part.options.templateFactory(result);
+    const templateNodes = collectTemplateNodes(template.element.content.firstChild);
+    const serverItems = collectServerItems(part.startNode.nextSibling, part.endNode);
+
+    if (!serverItems) return;
+
+    const isEmptyComment = (node: Node | null) => node?.nodeType === Node.COMMENT_NODE && (node as Comment).data === '';
+
+    const nodePartIndexes = new Set<number>();
+    const markers = new Set<Node>();
+
+    template.parts.forEach(templatePart => {
+
+        if (templatePart.type !== 'node' || !isTemplatePartActive(templatePart)) return;
+
+        const endNode = templateNodes[templatePart.index];
+
+        nodePartIndexes.add(templatePart.index);
+
+        if (isEmptyComment(endNode)) markers.add(endNode);
+        if (isEmptyComment(endNode.previousSibling)) markers.add(endNode.previousSibling!);
+    });
+
+    const serverParts = new Map<number, ServerPart>();
+    const serverNodes = new Map<number, Node>();
+
+    let cursor = 0;
+
+    for (let index = 0; index < templateNodes.length; index++) {
+
+        const templateNode = templateNodes[index];
+
+        if (nodePartIndexes.has(index)) {
+
+            const item = serverItems[cursor++];
+
+            if (!Array.isArray(item)) return;
+
+            serverParts.set(index, item);
+        }
+
+        if (markers.has(templateNode)) continue;
+
+        const item = serverItems[cursor++];
+
+        if (!item || Array.isArray(item) || item.nodeName !== templateNode.nodeName) return;
+
+        serverNodes.set(index, item);
+    }
+
+    if (cursor !== serverItems.length) return;
+
+    const instanceParts: (Part | undefined)[] = [];
+
+    template.parts.forEach(templatePart => {
+
+        if (!isTemplatePartActive(templatePart)) {
+
+            instanceParts.push(undefined);
+
+        } else if (templatePart.type === 'node') {
+
+            const nodePart = result.processor.handleTextExpression(part.options);
+
+            [nodePart.startNode, nodePart.endNode] = serverParts.get(templatePart.index)!;
+
+            instanceParts.push(nodePart);
+
+        } else {
+
+            const element = serverNodes.get(templatePart.index) as Element;
+
+            instanceParts.push(...result.processor.handleAttributeExpressions(element, templatePart.name, templatePart.strings, part.options));
+        }
+    });
+
+    instanceParts.forEach((instancePart, index) => {
+
+        if (instancePart instanceof NodePart) hydrate(instancePart, result.values[index]);
+    });
+
+    part.value = new HydratedTemplateInstance(template, result.processor, part.options, instanceParts);
+}
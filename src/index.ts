@@ -1,4 +1,8 @@
 export * from './component.js';
+export * from './component-task.js';
+export * from './controller.js';
 export * from './events.js';
 export * from './decorators/index.js';
 export * from './css.js';
+export * from './scheduler.js';
+export * from './server.js';
@@ -0,0 +1,216 @@
+import { html } from 'lit-html';
+import { Component } from './component';
+import { component, listener, property } from './decorators';
+import { SchedulerAnimationFrame, SchedulerMacroTask, SchedulerMicroTask, SchedulerSync, UpdateQueue } from './scheduler';
+
+describe('UpdateQueue', () => {
+
+    let root: HTMLElement;
+    let parent: HTMLElement;
+    let child: HTMLElement;
+
+    beforeEach(() => {
+
+        root = document.createElement('div');
+        parent = root.appendChild(document.createElement('div'));
+        // put the child into a shadow root to ensure the composed tree is respected
+        child = parent.attachShadow({ mode: 'open' }).appendChild(document.createElement('div'));
+    });
+
+    it('should flush updates parent-before-child in one pass', async () => {
+
+        const queue = new UpdateQueue();
+        const recordedOrder: string[] = [];
+
+        queue.enqueue(child, SchedulerMicroTask, () => recordedOrder.push('child'));
+        queue.enqueue(root, SchedulerMicroTask, () => recordedOrder.push('root'));
+        queue.enqueue(parent, SchedulerMicroTask, () => recordedOrder.push('parent'));
+
+        expect(recordedOrder).toEqual([]);
+
+        await Promise.resolve();
+
+        expect(recordedOrder).toEqual(['root', 'parent', 'child']);
+        expect(queue.pending()).toEqual([]);
+    });
+
+    it('should flush updates in the tree order at the time of the flush', async () => {
+
+        const queue = new UpdateQueue();
+        const recordedOrder: string[] = [];
+        const list = document.createElement('div');
+        const items = [document.createElement('div'), document.createElement('div')];
+
+        // all nodes are detached when they enqueue their updates
+        items.forEach((item, index) => queue.enqueue(item, SchedulerMicroTask, () => recordedOrder.push(`item ${ index }`)));
+        queue.enqueue(list, SchedulerMicroTask, () => recordedOrder.push('list'));
+
+        list.append(...items);
+        root.append(list);
+
+        await Promise.resolve();
+
+        expect(recordedOrder).toEqual(['list', 'item 0', 'item 1']);
+    });
+
+    it('should flush synchronous updates immediately', () => {
+
+        const queue = new UpdateQueue();
+        const recordedOrder: string[] = [];
+
+        queue.enqueue(parent, SchedulerSync, () => {
+            recordedOrder.push('parent');
+            // updates requested during a flush are added to the current pass
+            queue.enqueue(child, SchedulerSync, () => recordedOrder.push('child'));
+            recordedOrder.push('parent done');
+        });
+
+        expect(recordedOrder).toEqual(['parent', 'parent done', 'child']);
+    });
+
+    it('should not flush less urgent updates', async () => {
+
+        const queue = new UpdateQueue();
+        const recordedOrder: string[] = [];
+
+        queue.enqueue(root, SchedulerMacroTask, () => recordedOrder.push('root'));
+        queue.enqueue(child, SchedulerMicroTask, () => recordedOrder.push('child'));
+
+        await Promise.resolve();
+
+        expect(recordedOrder).toEqual(['child']);
+        expect(queue.has(root)).toBe(true);
+
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(recordedOrder).toEqual(['child', 'root']);
+    });
+});
+
+describe('Component scheduler', () => {
+
+    @component<TestElementChild>({
+        selector: 'test-element-scheduler-child',
+        scheduler: SchedulerMacroTask,
+        template: (element) => html`${ element.value }`,
+    })
+    class TestElementChild extends Component {
+
+        @property()
+        value = '';
+    }
+
+    @component<TestElementParent>({
+        selector: 'test-element-scheduler-parent',
+        scheduler: SchedulerAnimationFrame,
+        template: (element) => html`<test-element-scheduler-child .value=${ element.value }></test-element-scheduler-child>`,
+    })
+    class TestElementParent extends Component {
+
+        @property()
+        value = '';
+    }
+
+    it('should store the scheduler in the constructor', () => {
+
+        expect(TestElementChild.scheduler).toBe(SchedulerMacroTask);
+        expect(TestElementParent.scheduler).toBe(SchedulerAnimationFrame);
+    });
+
+    it('should resolve updateComplete after all descendants updated', async () => {
+
+        const parent = document.createElement('test-element-scheduler-parent') as TestElementParent;
+
+        document.body.appendChild(parent);
+
+        await parent.updateComplete;
+
+        parent.value = 'updated';
+
+        await parent.updateComplete;
+
+        const child = parent.renderRoot.querySelector('test-element-scheduler-child') as TestElementChild;
+
+        expect(child.value).toBe('updated');
+        expect(child.renderRoot.textContent).toBe('updated');
+
+        document.body.removeChild(parent);
+    });
+
+    it('should update components which were created detached parent-before-child', async () => {
+
+        const recordedOrder: string[] = [];
+        const children = [0, 1].map(() => document.createElement('test-element-scheduler-child') as TestElementChild);
+        const list = document.createElement('div');
+        const parent = document.createElement('test-element-scheduler-parent') as TestElementParent;
+
+        // update events bubble, so we only record the update events of the observed components
+        const record = (element: Component, name: string) => element.addEventListener('update', (event: Event) => {
+            if (event.composedPath()[0] === element) recordedOrder.push(name);
+        });
+
+        children.forEach((child, index) => record(child, `child ${ index }`));
+        record(parent, 'parent');
+
+        list.append(...children);
+        parent.append(list);
+        document.body.append(parent);
+
+        await parent.updateComplete;
+
+        // the children were created first, but are updated after their parent
+        expect(recordedOrder).toEqual(['parent', 'child 0', 'child 1']);
+
+        document.body.removeChild(parent);
+    });
+
+    it('should perform the first update of synchronous components after connectedCallback', async () => {
+
+        @component({
+            selector: 'test-element-scheduler-sync',
+            scheduler: SchedulerSync,
+        })
+        class TestElementSync extends Component {
+
+            target!: EventTarget;
+
+            messages = 0;
+
+            connectedCallback () {
+
+                super.connectedCallback();
+
+                this.target = new EventTarget();
+            }
+
+            @listener<TestElementSync>({
+                event: 'message',
+                target: function () { return this.target; }
+            })
+            handleMessage () {
+
+                this.messages++;
+            }
+        }
+
+        const testElement = document.createElement(TestElementSync.selector) as TestElementSync;
+        const recordedOrder: string[] = [];
+
+        testElement.addEventListener('connected', () => recordedOrder.push('connected'));
+        testElement.addEventListener('update', () => recordedOrder.push('update'));
+
+        document.body.appendChild(testElement);
+
+        expect(recordedOrder).toEqual(['connected']);
+
+        await testElement.updateComplete;
+
+        expect(recordedOrder).toEqual(['connected', 'update']);
+
+        testElement.target.dispatchEvent(new Event('message'));
+
+        expect(testElement.messages).toBe(1);
+
+        document.body.removeChild(testElement);
+    });
+});
@@ -0,0 +1,277 @@
+import { animationFrameTask, idleTask, macroTask, microTask, syncTask, Task } from './tasks.js';
+
+/**
+ * An update scheduler
+ *
+ * @remarks
+ * A scheduler decides when the pending updates of components are flushed. Its `schedule` method
+ * has the same signature as the task functions in `tasks.ts`. The priority orders schedulers by
+ * urgency: a flush of a scheduler also flushes pending updates of schedulers with a higher priority
+ * (a lower priority value), but never updates of schedulers with a lower priority.
+ *
+ * Custom schedulers can be created by combining a priority with a task function:
+ *
+ * ```typescript
+ * const SchedulerTimeout: Scheduler = {
+ *      priority: 2,
+ *      schedule: (task) => macroTask(task),
+ * };
+ * ```
+ */
+export interface Scheduler {
+    /**
+     * The scheduler's priority, lower values are more urgent
+     */
+    readonly priority: number;
+
+    /**
+     * Schedules a task
+     */
+    schedule (task: () => void): Task<void>;
+}
+
+/**
+ * Flushes updates synchronously
+ *
+ * @remarks
+ * Each update request is flushed immediately. This is useful in tests, but causes
+ * a component to update for every single property change.
+ */
+export const SchedulerSync: Scheduler = {
+    priority: 0,
+    schedule: syncTask,
+};
+
+/**
+ * Flushes updates in the next micro-task
+ */
+export const SchedulerMicroTask: Scheduler = {
+    priority: 1,
+    schedule: microTask,
+};
+
+/**
+ * Flushes updates in the next macro-task
+ *
+ * @remarks
+ * Unlike animation frames, macro-tasks are executed in background tabs as well.
+ */
+export const SchedulerMacroTask: Scheduler = {
+    priority: 2,
+    schedule: macroTask,
+};
+
+/**
+ * Flushes updates just before the next frame
+ */
+export const SchedulerAnimationFrame: Scheduler = {
+    priority: 3,
+    schedule: animationFrameTask,
+};
+
+/**
+ * Flushes updates when the browser is idle
+ */
+export const SchedulerIdle: Scheduler = {
+    priority: 4,
+    schedule: idleTask,
+};
+
+/**
+ * @internal
+ */
+let defaultScheduler: Scheduler = SchedulerAnimationFrame;
+
+/**
+ * Get the global default scheduler
+ *
+ * @remarks
+ * The default scheduler is used by all components which don't declare a scheduler in
+ * their {@link ComponentDeclaration}.
+ */
+export function getDefaultScheduler (): Scheduler {
+
+    return defaultScheduler;
+}
+
+/**
+ * Set the global default scheduler
+ *
+ * @remarks
+ * The default scheduler is used by all components which don't declare a scheduler in
+ * their {@link ComponentDeclaration}. Initially, the default scheduler is {@link SchedulerAnimationFrame}.
+ *
+ * ```typescript
+ * // in a test setup
+ * setDefaultScheduler(SchedulerMicroTask);
+ * ```
+ *
+ * @param scheduler The new default scheduler
+ */
+export function setDefaultScheduler (scheduler: Scheduler) {
+
+    defaultScheduler = scheduler;
+}
+
+/**
+ * A pending update in the {@link UpdateQueue}
+ *
+ * @internal
+ */
+interface UpdateQueueEntry {
+    priority: number;
+    callback: () => void;
+}
+
+/**
+ * Get the depth of a node in the composed tree (crossing shadow DOM boundaries)
+ *
+ * @internal
+ */
+const getComposedDepth = (node: Node): number => {
+
+    let depth = 0;
+    let current: Node | null = node;
+
+    while ((current = (current instanceof ShadowRoot) ? current.host : current.parentNode)) depth++;
+
+    return depth;
+};
+
+/**
+ * A queue of pending component updates
+ *
+ * @remarks
+ * All components share one queue. When a scheduler flushes the queue, all pending updates with the
+ * same or a more urgent priority are flushed in one pass. Updates are flushed in tree order, ancestors
+ * are updated before their descendants. Updates which are requested during a flush are added to the
+ * current pass, if their priority allows it.
+ *
+ * @internal
+ */
+export class UpdateQueue {
+
+    protected entries = new Map<Node, UpdateQueueEntry>();
+
+    protected tasks = new Map<Scheduler, Task<void>>();
+
+    protected flushing: number | undefined;
+
+    /**
+     * Check if a node has a pending update
+     */
+    has (node: Node): boolean {
+
+        return this.entries.has(node);
+    }
+
+    /**
+     * Get all nodes with a pending update
+     */
+    pending (): Node[] {
+
+        return [...this.entries.keys()];
+    }
+
+    /**
+     * Enqueue an update
+     *
+     * @param node      The node which requests the update
+     * @param scheduler The scheduler which should flush the update
+     * @param callback  The update callback
+     */
+    enqueue (node: Node, scheduler: Scheduler, callback: () => void) {
+
+        this.entries.set(node, { priority: scheduler.priority, callback });
+
+        // the current flush will pick up the update
+        if (this.flushing !== undefined && scheduler.priority <= this.flushing) return;
+
+        this.schedule(scheduler);
+    }
+
+    /**
+     * Flush all pending updates with the same or a more urgent priority than the scheduler's
+     *
+     * @param scheduler The scheduler which flushes the queue
+     */
+    flush (scheduler: Scheduler) {
+
+        this.tasks.delete(scheduler);
+
+        const previous = this.flushing;
+
+        // nested flushes can't flush less urgent updates than the current flush
+        this.flushing = Math.max(scheduler.priority, previous ?? scheduler.priority);
+
+        try {
+
+            let next: [Node, UpdateQueueEntry] | undefined;
+
+            while ((next = this.next(this.flushing))) {
+
+                this.entries.delete(next[0]);
+
+                next[1].callback();
+            }
+
+        } finally {
+
+            this.flushing = previous;
+
+            // if an update threw an error, we schedule a new flush for the remaining updates
+            if (this.next(scheduler.priority)) this.schedule(scheduler);
+        }
+    }
+
+    /**
+     * Schedule a flush of the queue with a scheduler, unless one is scheduled already
+     */
+    protected schedule (scheduler: Scheduler) {
+
+        if (this.tasks.has(scheduler)) return;
+
+        // store a placeholder task before scheduling, synchronous schedulers will run the flush immediately
+        this.tasks.set(scheduler, { promise: Promise.resolve(), cancel: () => { } });
+
+        const task = scheduler.schedule(() => this.flush(scheduler));
+
+        // only store the task if the flush is still pending
+        if (this.tasks.has(scheduler)) this.tasks.set(scheduler, task);
+    }
+
+    /**
+     * Get the shallowest pending update with the same or a more urgent priority
+     *
+     * @remarks
+     * The depth of a node is computed when the queue is flushed, as nodes can be moved in the tree
+     * after they enqueued their update (e.g. components which are created detached and appended later).
+     */
+    protected next (priority: number): [Node, UpdateQueueEntry] | undefined {
+
+        let next: [Node, UpdateQueueEntry] | undefined;
+        let nextDepth = Infinity;
+
+        this.entries.forEach((entry, node) => {
+
+            if (entry.priority > priority) return;
+
+            const depth = getComposedDepth(node);
+
+            if (depth < nextDepth) {
+
+                next = [node, entry];
+                nextDepth = depth;
+            }
+        });
+
+        return next;
+    }
+}
+
+/**
+ * The update queue shared by all components
+ *
+ * @internal
+ */
+export const UPDATE_QUEUE = new UpdateQueue();
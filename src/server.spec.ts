@@ -0,0 +1,225 @@
+import { html } from 'lit-html';
+import { Component } from './component';
+import { AttributeConverterBoolean, component, property } from './decorators';
+import { renderToString } from './server';
+
+@component<TestElementServer>({
+    selector: 'test-element-server',
+    styles: [':host { display: block; }'],
+    template: (element) => html`<h1 class="heading ${ element.size }" ?hidden=${ element.hidden } @click=${ () => element.count++ }>${ element.heading }</h1><ul>${ element.items.map(item => html`<li>${ item }</li>`) }</ul>`
+})
+class TestElementServer extends Component {
+
+    @property({ attribute: false })
+    heading = '';
+
+    @property({ attribute: false })
+    size = 'small';
+
+    @property({ attribute: false })
+    items: string[] = [];
+
+    @property({ converter: AttributeConverterBoolean })
+    hidden = false;
+
+    @property()
+    count = 0;
+}
+
+describe('renderToString', () => {
+
+    it('renders the template, styles and reflected attributes into a declarative shadow root', () => {
+
+        const result = renderToString(TestElementServer, {
+            heading: '<Hello>',
+            size: 'large',
+            items: ['one', 'two'],
+            hidden: true,
+            count: 2,
+        });
+
+        expect(result).toBe(
+            '<test-element-server hidden count="2">' +
+            '<template shadowrootmode="open">' +
+            '<style>:host { display: block; }</style>' +
+            '<!--lit-part-->' +
+            '<h1 class="heading large" hidden><!--lit-part-->&lt;Hello&gt;<!--/lit-part--></h1>' +
+            '<ul><!--lit-part-->' +
+            '<!--lit-part--><li><!--lit-part-->one<!--/lit-part--></li><!--/lit-part-->' +
+            '<!--lit-part--><li><!--lit-part-->two<!--/lit-part--></li><!--/lit-part-->' +
+            '<!--/lit-part--></ul>' +
+            '<!--/lit-part-->' +
+            '</template>' +
+            '</test-element-server>'
+        );
+    });
+
+    it('omits unset boolean attributes and event bindings', () => {
+
+        const result = renderToString(TestElementServer, { heading: 'Hello', size: 'small', items: [] });
+
+        expect(result).toContain('<h1 class="heading small"><!--lit-part-->Hello<!--/lit-part--></h1>');
+        expect(result).not.toContain('@click');
+    });
+
+    it('uses the default property values, if the component is defined', () => {
+
+        @component<TestElementServerUndefined>({
+            selector: 'test-element-server-undefined',
+            define: false,
+            template: (element) => html`${ element.heading }`
+        })
+        class TestElementServerUndefined extends Component {
+
+            @property({ attribute: false })
+            heading = 'Default';
+        }
+
+        const result = renderToString(TestElementServer, { heading: 'Hello' });
+
+        expect(result).toContain('<test-element-server count="0">');
+        expect(result).toContain('<h1 class="heading small">');
+        // undefined components can't be constructed
+        expect(renderToString(TestElementServerUndefined)).not.toContain('Default');
+    });
+
+    it('doesn\'t catch errors thrown by the component\'s constructor', () => {
+
+        @component({
+            selector: 'test-element-server-error',
+        })
+        class TestElementServerError extends Component {
+
+            constructor () {
+
+                super();
+
+                throw new Error('constructor error');
+            }
+        }
+
+        expect(() => renderToString(TestElementServerError)).toThrowError('constructor error');
+    });
+});
+
+describe('Component hydration', () => {
+
+    /**
+     * Parses server-rendered html including declarative shadow roots
+     */
+    function parse (html: string): HTMLElement {
+
+        const container = document.createElement('div');
+
+        // `setHTMLUnsafe` is the only way to parse declarative shadow roots outside of the document parser
+        (container as any).setHTMLUnsafe(html);
+
+        return container.firstElementChild as HTMLElement;
+    }
+
+    it('hydrates the server-rendered DOM without re-rendering it', async () => {
+
+        const testElement = parse(renderToString(TestElementServer, { heading: 'Hello', items: ['one', 'two'] })) as TestElementServer;
+        const shadowRoot = testElement.shadowRoot!;
+
+        const serverHeading = shadowRoot.querySelector('h1')!;
+        const serverItems = Array.from(shadowRoot.querySelectorAll('li'));
+
+        // the element is upgraded when it's connected
+        document.body.appendChild(testElement);
+
+        expect(testElement.renderRoot).toBe(shadowRoot);
+        expect(testElement.isHydrating).toBe(true);
+
+        // the client provides the same data before the first update
+        testElement.heading = 'Hello';
+        testElement.items = ['one', 'two'];
+
+        await testElement.updateComplete;
+
+        expect(testElement.isHydrating).toBe(false);
+        // the server-rendered DOM is kept
+        expect(shadowRoot.querySelector('h1')).toBe(serverHeading);
+        expect(Array.from(shadowRoot.querySelectorAll('li'))).toEqual(serverItems);
+        expect(serverHeading.textContent).toBe('Hello');
+
+        // event bindings are bound during hydration
+        serverHeading.click();
+
+        expect(testElement.count).toBe(1);
+
+        testElement.heading = 'Updated';
+        testElement.items = ['one', 'two', 'three'];
+        testElement.hidden = true;
+
+        await testElement.updateComplete;
+
+        // the hydrated parts update the server-rendered DOM
+        expect(shadowRoot.querySelector('h1')).toBe(serverHeading);
+        expect(serverHeading.textContent).toBe('Updated');
+        expect(serverHeading.hasAttribute('hidden')).toBe(true);
+        expect(Array.from(shadowRoot.querySelectorAll('li')).slice(0, 2)).toEqual(serverItems);
+        expect(Array.from(shadowRoot.querySelectorAll('li')).map(item => item.textContent)).toEqual(['one', 'two', 'three']);
+
+        document.body.removeChild(testElement);
+    });
+
+    it('replaces the server-rendered styles with the adopted stylesheets', async () => {
+
+        const testElement = parse(renderToString(TestElementServer, { heading: 'Hello' })) as TestElementServer;
+        const shadowRoot = testElement.shadowRoot!;
+
+        expect(shadowRoot.querySelectorAll('style').length).toBe(1);
+
+        document.body.appendChild(testElement);
+
+        await testElement.updateComplete;
+
+        expect(shadowRoot.querySelectorAll('style').length).toBe(0);
+        expect(shadowRoot.adoptedStyleSheets.length).toBe(1);
+
+        document.body.removeChild(testElement);
+    });
+
+    it('renders parts whose server-rendered content doesn\'t match the template', async () => {
+
+        const selector = 'test-element-hydration';
+
+        // attach a shadow root before the component is defined, like the parser does for declarative shadow roots
+        const testElement = document.createElement(selector);
+        const shadowRoot = testElement.attachShadow({ mode: 'open' });
+
+        shadowRoot.innerHTML = '<style>:host { display: block; }</style>' +
+            '<!--lit-part--><h1><!--lit-part-->Server<!--/lit-part--></h1><ul><!--lit-part--><li>Server</li><!--/lit-part--></ul><!--/lit-part-->';
+
+        const serverHeading = shadowRoot.querySelector('h1');
+
+        @component<TestElementHydration>({
+            selector: selector,
+            template: (element) => html`<h1>${ element.heading }</h1><ul>${ html`<li><b>Client</b></li>` }</ul>`
+        })
+        class TestElementHydration extends Component {
+
+            @property({ attribute: false })
+            heading = 'Client';
+        }
+
+        const hydratedElement = testElement as TestElementHydration;
+
+        document.body.appendChild(hydratedElement);
+
+        expect(hydratedElement.isHydrating).toBe(true);
+
+        await hydratedElement.updateComplete;
+
+        expect(hydratedElement.isHydrating).toBe(false);
+        // matching nodes are kept, mismatching parts are rendered
+        expect(shadowRoot.querySelector('h1')).toBe(serverHeading);
+        expect(serverHeading!.textContent).toBe('Client');
+        expect(shadowRoot.querySelector('ul')!.innerHTML).toBe('<!--lit-part--><li><b>Client</b></li><!--/lit-part-->');
+        // the server-rendered styles are kept, as the component has no styles of its own
+        expect(shadowRoot.querySelectorAll('style').length).toBe(1);
+
+        document.body.removeChild(hydratedElement);
+    });
+});
@@ -0,0 +1,334 @@
+import { isDirective, noChange, nothing, TemplateResult } from 'lit-html';
+import { Component } from './component.js';
+import { PART_END_MARKER, PART_START_MARKER } from './hydrate.js';
+
+/**
+ * A component instance as used during server-side rendering
+ *
+ * @remarks
+ * Server elements are created from the component's prototype without invoking the component's
+ * constructor. They store attributes in a map, so property reflectors can be used without a DOM.
+ *
+ * @internal
+ * @private
+ */
+type ServerElement<Type extends Component = Component> = Type & { attributes: Map<string, string> };
+
+/**
+ * Matches the attribute name and assignment at the end of a template string, if the string ends in an attribute position
+ *
+ * @remarks
+ * This is the same regex lit-html uses to detect attribute bindings.
+ *
+ * @internal
+ */
+const ATTRIBUTE_NAME_REGEX = /([ \x09\x0a\x0c\x0d])([^\0-\x1F\x7F-\x9F "'>=/]+)([ \x09\x0a\x0c\x0d]*=[ \x09\x0a\x0c\x0d]*(?:[^ \x09\x0a\x0c\x0d"'`<>=]*|"[^"]*|'[^']*))$/;
+
+/**
+ * @internal
+ */
+const HTML_ESCAPES: { [key: string]: string } = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&#39;',
+};
+
+/**
+ * Escapes a string for use as html text or quoted attribute value
+ *
+ * @param value A string to escape
+ * @returns     The escaped string
+ */
+export function escapeHTML (value: string): string {
+
+    return value.replace(/[&<>"']/g, character => HTML_ESCAPES[character]);
+}
+
+/**
+ * Renders a {@link Component} to an html string
+ *
+ * @remarks
+ * This function can be used to pre-render components on the server. It uses the component's decorator
+ * metadata to render the component's host element with all reflected attributes, its static template and
+ * its static styles. For components using Shadow DOM, the template and styles are rendered into a declarative
+ * shadow root (`<template shadowrootmode="open">`). The content of each binding in node position is wrapped
+ * in marker comments (`<!--lit-part-->...<!--/lit-part-->`). When the component is upgraded in the browser, it
+ * will adopt the declarative shadow root and hydrate its template against the server-rendered DOM, without
+ * re-rendering it (see {@link Component.isHydrating}).
+ *
+ * Properties which are not provided in the `properties` object use the default values of the component's property
+ * initializers, if the component can be constructed (i.e. it's defined in a browser or a DOM shim which supports
+ * custom element constructors). Otherwise, they are `undefined`. Property reflection uses the component's
+ * {@link PropertyDeclaration}s, including custom {@link PropertyReflector}s.
+ *
+ * Limitations:
+ * * Event and property bindings in the template are omitted, they are bound when the component hydrates
+ * * Directives can't be rendered without a DOM and are omitted, they are rendered when the component hydrates
+ * * Nested components are rendered as plain elements without their own shadow root
+ *
+ * N.B.: Component modules extend `HTMLElement` and lit-html accesses `window` when it is imported. When rendering
+ * in Node, a minimal DOM shim which provides `window`, `HTMLElement` and `customElements` has to be installed before
+ * importing any component modules.
+ *
+ * ```typescript
+ * const html = renderToString(MyElement, { heading: 'Hello', count: 1 });
+ *
+ * // <my-element count="1"><template shadowrootmode="open"><style>...</style>
+ * // <!--lit-part--><h1><!--lit-part-->Hello<!--/lit-part--></h1><!--/lit-part--></template></my-element>
+ * ```
+ *
+ * @param constructor   The component class to render
+ * @param properties    The component's property values
+ * @param helpers       Any additional objects which should be available in the template scope
+ * @returns             The rendered html string
+ */
+export function renderToString<Type extends Component = Component> (
+    constructor: { prototype: Type },
+    properties: Partial<Type> = {},
+    ...helpers: any[]
+): string {
+
+    const componentConstructor = constructor as unknown as typeof Component;
+
+    const element = createServerElement(componentConstructor, properties);
+
+    const template = componentConstructor.template && componentConstructor.template(element, ...helpers);
+
+    const content = template ? renderPart(renderTemplateResult(template)) : '';
+
+    const attributes = [...element.attributes].map(([name, value]) => value === ''
+        ? ` ${ name }`
+        : ` ${ name }="${ escapeHTML(value) }"`
+    ).join('');
+
+    const selector = componentConstructor.selector;
+
+    if (!componentConstructor.shadow) {
+
+        return `<${ selector }${ attributes }>${ content }</${ selector }>`;
+    }
+
+    const styles = componentConstructor.styles.length
+        ? `<style>${ componentConstructor.styles.join('\n') }</style>`
+        : '';
+
+    return `<${ selector }${ attributes }><template shadowrootmode="open">${ styles }${ content }</template></${ selector }>`;
+}
+
+/**
+ * Creates a {@link ServerElement} for a component constructor
+ *
+ * @remarks
+ * The properties are defined as own properties on the server element, bypassing the component's
+ * property accessors, as those would request an update. All declared properties are defined, falling
+ * back to their default values, as the inherited accessors can't be invoked on the server element.
+ * Afterwards, the properties are reflected to the server element's attribute map.
+ *
+ * @internal
+ * @private
+ */
+function createServerElement<Type extends Component = Component> (constructor: typeof Component, properties: Partial<Type>): ServerElement<Type> {
+
+    properties = { ...getDefaultProperties(constructor), ...properties };
+
+    const element = Object.create(constructor.prototype);
+
+    const attributes = new Map<string, string>();
+
+    Object.defineProperties(element, {
+        attributes: { value: attributes },
+        getAttribute: { value: (name: string) => attributes.has(name) ? attributes.get(name) : null },
+        hasAttribute: { value: (name: string) => attributes.has(name) },
+        removeAttribute: { value: (name: string) => attributes.delete(name) },
+        setAttribute: { value: (name: string, value: string) => attributes.set(name, String(value)) },
+    });
+
+    const reflections = new Map<PropertyKey, any>();
+
+    Reflect.ownKeys(properties).forEach(propertyKey => {
+
+        Object.defineProperty(element, propertyKey, {
+            configurable: true,
+            enumerable: true,
+            writable: true,
+            value: properties[propertyKey as keyof Type],
+        });
+
+        reflections.set(propertyKey, undefined);
+    });
+
+    // {@link Component.reflectProperties} is protected, but server-side rendering needs to reflect
+    // the properties in the same way the component would during its first update
+    element.reflectProperties(reflections);
+
+    return element;
+}
+
+/**
+ * Get the default values of a component's declared properties
+ *
+ * @remarks
+ * Property initializers only run in the component's constructor, so we construct an instance to read them.
+ * Custom element constructors can only be invoked for defined custom elements, so if custom elements are not
+ * supported or the component is not defined, all declared properties default to `undefined`. Errors thrown by
+ * the component's constructor are not caught.
+ *
+ * @internal
+ * @private
+ */
+function getDefaultProperties (constructor: typeof Component): { [key: string]: any } {
+
+    const isConstructable = typeof HTMLElement !== 'undefined'
+        && typeof customElements !== 'undefined'
+        && customElements.get(constructor.selector) === constructor;
+
+    const instance: any = isConstructable ? new (constructor as any)() : undefined;
+
+    const defaults: { [key: string]: any } = {};
+
+    constructor.properties.forEach((declaration, propertyKey) => {
+
+        defaults[propertyKey as string] = instance ? instance[propertyKey] : undefined;
+    });
+
+    return defaults;
+}
+
+/**
+ * Renders a lit-html {@link TemplateResult} to an html string
+ *
+ * @remarks
+ * This is not an html parser. Like lit-html itself, it inspects the template strings preceding each
+ * expression to determine if the expression is in attribute or in node position.
+ *
+ * @internal
+ * @private
+ */
+function renderTemplateResult (result: TemplateResult): string {
+
+    const { strings, values } = result;
+
+    let html = '';
+    let isCommentBinding = false;
+    // the closing quote of a removed attribute binding, which has to be removed from the next string
+    let closingQuote = '';
+
+    for (let i = 0; i < strings.length; i++) {
+
+        let string = strings[i];
+
+        if (closingQuote && string.startsWith(closingQuote)) string = string.substr(1);
+
+        closingQuote = '';
+
+        if (i === values.length) {
+
+            html += string;
+            break;
+        }
+
+        const value = values[i];
+
+        const commentOpen = string.lastIndexOf('<!--');
+
+        isCommentBinding = (commentOpen > -1 || isCommentBinding) && string.indexOf('-->', commentOpen + 1) === -1;
+
+        const attributeMatch = isCommentBinding ? null : ATTRIBUTE_NAME_REGEX.exec(string);
+
+        if (isCommentBinding) {
+
+            html += string;
+
+        } else if (attributeMatch === null) {
+
+            html += string + renderPart(renderValue(value));
+
+        } else {
+
+            const [, whitespace, name, assignment] = attributeMatch;
+            const prefix = name[0];
+            const quote = /["']$/.exec(assignment);
+            const head = string.substr(0, attributeMatch.index);
+
+            if (prefix === '.' || prefix === '@') {
+
+                // property and event bindings are omitted
+                html += head;
+                closingQuote = quote ? quote[0] : '';
+
+            } else if (prefix === '?') {
+
+                // boolean attributes are rendered without value, if the value is truthy
+                html += value ? `${ head }${ whitespace }${ name.substr(1) }` : head;
+                closingQuote = quote ? quote[0] : '';
+
+            } else {
+
+                const attributeValue = renderAttributeValue(value);
+
+                // unquoted attribute values are quoted to prevent invalid html
+                html += (quote || !assignment.trim().endsWith('='))
+                    ? string + attributeValue
+                    : `${ string }"${ attributeValue }"`;
+            }
+        }
+    }
+
+    return html;
+}
+
+/**
+ * Wraps the rendered content of a part in the part's marker comments
+ *
+ * @internal
+ * @private
+ */
+function renderPart (content: string): string {
+
+    return `<!--${ PART_START_MARKER }-->${ content }<!--${ PART_END_MARKER }-->`;
+}
+
+/**
+ * Renders a value in node position
+ *
+ * @internal
+ * @private
+ */
+function renderValue (value: any): string {
+
+    if (value === undefined || value === null || value === nothing || value === noChange || isDirective(value)) {
+
+        return '';
+    }
+
+    if (value instanceof TemplateResult) {
+
+        return renderTemplateResult(value);
+    }
+
+    if (typeof value !== 'string' && typeof value[Symbol.iterator] === 'function') {
+
+        // lit-html renders each item of an iterable into its own part
+        return Array.from(value as Iterable<any>).map(item => renderPart(renderValue(item))).join('');
+    }
+
+    return escapeHTML(String(value));
+}
+
+/**
+ * Renders a value in attribute position
+ *
+ * @internal
+ * @private
+ */
+function renderAttributeValue (value: any): string {
+
+    if (value === undefined || value === null || value === nothing || value === noChange || isDirective(value)) {
+
+        return '';
+    }
+
+    return escapeHTML(String(value));
+}
@@ -1,7 +1,38 @@
-import { microTask, macroTask, animationFrameTask, Task, TaskCanceledError } from './tasks';
+import { microTask, macroTask, animationFrameTask, asyncTask, idleTask, syncTask, Task, TaskCanceledError } from './tasks';
 
 describe('Task', () => {
 
+    describe('syncTask', () => {
+
+        it('should execute the callback synchronously', async () => {
+
+            const expectedOrder: string[] = ['before-shedule-task', 'task', 'after-shedule-task'];
+            const recordedOrder: string[] = [];
+
+            recordedOrder.push('before-shedule-task');
+
+            const task = syncTask(() => recordedOrder.push('task'));
+
+            recordedOrder.push('after-shedule-task');
+
+            await task.promise.then(() => expect(recordedOrder).toEqual(expectedOrder));
+        });
+
+        it('should not cancel if already resolved', async () => {
+
+            const task = syncTask(() => 'result');
+
+            task.cancel();
+
+            await task.promise.then(result => expect(result).toBe('result'));
+        });
+
+        it('should reject if the task callback throws an error', async () => {
+
+            await testThrow(() => syncTask(() => { throw new Error('TestError'); }));
+        });
+    });
+
     describe('microTask', () => {
 
         it('should shedule a callback for the next micro task', async () => {
@@ -140,6 +171,79 @@ describe('Task', () => {
             await testThrow(() => animationFrameTask(() => { throw new Error('TestError'); }));
         });
     });
+
+    describe('asyncTask', () => {
+
+        it('should resolve with the result of an asynchronous callback', async () => {
+
+            const task = asyncTask(() => new Promise<string>(resolve => setTimeout(() => resolve('result'), 0)));
+
+            await task.promise.then(result => expect(result).toBe('result'));
+        });
+
+        it('should abort the signal and reject when canceled while running', async () => {
+
+            let taskSignal: AbortSignal | undefined;
+
+            const task = asyncTask(signal => {
+
+                taskSignal = signal;
+
+                return new Promise<string>(resolve => setTimeout(() => resolve('result'), 0));
+            });
+
+            await Promise.resolve();
+
+            task.cancel();
+
+            expect(taskSignal!.aborted).toBe(true);
+
+            await task.promise.then(
+                () => { throw ('Canceled task should not resolve.'); },
+                (reason) => expect(reason instanceof TaskCanceledError).toBe(true),
+            );
+        });
+
+        it('should reject if the task callback throws an error', async () => {
+
+            await testThrow(() => asyncTask(() => Promise.reject(new Error('TestError'))));
+        });
+    });
+
+    describe('idleTask', () => {
+
+        it('should shedule a callback for an idle period', async () => {
+
+            const expectedOrder: string[] = ['before-shedule-task', 'after-shedule-task', 'micro-task', 'task'];
+            const recordedOrder: string[] = [];
+
+            recordedOrder.push('before-shedule-task');
+
+            const task = idleTask(() => recordedOrder.push('task'));
+
+            // this micro-task's result should resolve before the idle callback
+            microTask(() => recordedOrder.push('micro-task'));
+
+            recordedOrder.push('after-shedule-task');
+
+            await task.promise.then(() => expect(recordedOrder).toEqual(expectedOrder));
+        });
+
+        it('should reject the promise when canceled and not execute the task callback', async () => {
+
+            await testCancel((recordedOrder: string[]) => idleTask(() => recordedOrder.push('task')));
+        });
+
+        it('should not cancel if already resolved', async () => {
+
+            await testCancelResolved((recordedOrder: string[]) => idleTask(() => recordedOrder.push('task')));
+        });
+
+        it('should reject if the task callback throws an error', async () => {
+
+            await testThrow(() => idleTask(() => { throw new Error('TestError'); }));
+        });
+    });
 });
 
 /**
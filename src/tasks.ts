@@ -46,6 +46,27 @@ export class TaskCanceledError extends Error {
 
 const TASK_CANCELED_ERROR = () => new TaskCanceledError('Task canceled.');
 
+/**
+ * Executes a task callback synchronously and returns a Promise which will resolve with
+ * the callback's result
+ *
+ * @remarks
+ * The task callback is executed immediately, which means the returned task is already
+ * resolved (or rejected) and cannot be canceled anymore. This task can be used wherever
+ * a scheduled task is expected, but the task callback should not be deferred.
+ *
+ * @param task  The callback function to execute
+ * @returns     A Promise which will resolve after the callback was executed
+ */
+export function syncTask<T = any> (task: () => T): Task<T> {
+
+    const promise = new Promise<T>((resolve, reject) => runTask(task, resolve, reject));
+
+    const cancel = () => { };
+
+    return { promise, cancel };
+}
+
 /**
  * Executes a task callback in the next micro-task and returns a Promise which will
  * resolve when the task was executed.
@@ -155,6 +176,100 @@ export function animationFrameTask<T = any> (task: () => T): Task<T> {
     return { promise, cancel };
 }
 
+/**
+ * Executes a task callback when the browser is idle and returns a Promise which will
+ * resolve when the task was executed
+ *
+ * @remarks
+ * Uses {@link requestIdleCallback} to schedule the task callback in the browser's next idle period.
+ * If `requestIdleCallback` is not available, the task callback is scheduled in the next macro-task.
+ * If the task is canceled before the idle period, the idle callback is canceled and the Promise is
+ * rejected.
+ *
+ * @param task      The callback function to execute
+ * @param timeout   An optional timeout in milliseconds after which the task callback will be executed, even if the browser is not idle
+ * @returns         A Promise which will resolve after the callback was executed
+ */
+export function idleTask<T = any> (task: () => T, timeout?: number): Task<T> {
+
+    if (typeof window.requestIdleCallback !== 'function') return macroTask(task);
+
+    let cancel!: () => void;
+
+    const promise = new Promise<T>((resolve, reject) => {
+
+        let idleCallback: number | undefined = window.requestIdleCallback(() => runTask(task, resolve, reject), { timeout });
+
+        cancel = () => {
+
+            if (idleCallback) {
+                window.cancelIdleCallback(idleCallback);
+                idleCallback = undefined;
+                reject(TASK_CANCELED_ERROR());
+            }
+        };
+    });
+
+    return { promise, cancel };
+}
+
+/**
+ * Executes an asynchronous task callback in the next micro-task and returns a Promise which will
+ * resolve with the callback's result
+ *
+ * @remarks
+ * The task callback receives an {@link AbortSignal} and can return a Promise. Unlike the other tasks,
+ * an asynchronous task can be canceled while its callback is running: the signal will be aborted, so
+ * the callback can abort pending work (e.g. a `fetch` request), and the task's Promise is rejected
+ * immediately. The result of a canceled callback is ignored.
+ *
+ * ```typescript
+ * const task = asyncTask(signal => fetch('/api/user', { signal }));
+ *
+ * // abort the request
+ * task.cancel();
+ * ```
+ *
+ * @param task  The callback function to execute
+ * @returns     A Promise which will resolve with the callback's result
+ */
+export function asyncTask<T = any> (task: (signal: AbortSignal) => T | Promise<T>): Task<T> {
+
+    const controller = new AbortController();
+
+    let cancel!: () => void;
+
+    const promise = new Promise<T>((resolve, reject) => {
+
+        let settled = false;
+
+        const settle = <V> (callback: (value: V) => void) => (value: V) => {
+
+            if (settled) return;
+
+            settled = true;
+
+            callback(value);
+        };
+
+        Promise.resolve()
+            // don't execute the callback if the task was canceled before the next micro-task
+            .then(() => controller.signal.aborted ? undefined as unknown as T : task(controller.signal))
+            .then(settle(resolve), settle(reject));
+
+        cancel = () => {
+
+            if (settled) return;
+
+            settled = true;
+            controller.abort();
+            reject(TASK_CANCELED_ERROR());
+        };
+    });
+
+    return { promise, cancel };
+}
+
 /**
  * Runs a task callback safely against a Promise's reject and resolve callbacks.
  *
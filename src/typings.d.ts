@@ -10,3 +10,46 @@ interface CSSStyleSheet {
     replaceSync (cssText: string): void;
     replace (cssText: string): Promise<unknown>;
 }
+
+interface HTMLElement {
+    attachInternals (): ElementInternals;
+}
+
+interface ValidityStateFlags {
+    badInput?: boolean;
+    customError?: boolean;
+    patternMismatch?: boolean;
+    rangeOverflow?: boolean;
+    rangeUnderflow?: boolean;
+    stepMismatch?: boolean;
+    tooLong?: boolean;
+    tooShort?: boolean;
+    typeMismatch?: boolean;
+    valueMissing?: boolean;
+}
+
+interface ElementInternals {
+    readonly form: HTMLFormElement | null;
+    readonly labels: NodeList;
+    readonly validity: ValidityState;
+    readonly validationMessage: string;
+    readonly willValidate: boolean;
+    setFormValue (value: File | string | FormData | null, state?: File | string | FormData | null): void;
+    setValidity (flags?: ValidityStateFlags, message?: string, anchor?: HTMLElement): void;
+    checkValidity (): boolean;
+    reportValidity (): boolean;
+}
+
+interface IdleDeadline {
+    readonly didTimeout: boolean;
+    timeRemaining (): number;
+}
+
+interface IdleRequestOptions {
+    timeout?: number;
+}
+
+interface Window {
+    requestIdleCallback (callback: (deadline: IdleDeadline) => void, options?: IdleRequestOptions): number;
+    cancelIdleCallback (handle: number): void;
+}